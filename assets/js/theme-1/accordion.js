@@ -0,0 +1,260 @@
+/**
+ * Theme Accordion – Disclosure Panels
+ * One component for the course modules and the FAQ: ARIA state, keyboard
+ * navigation, single or multiple open panels and animated height
+ */
+
+(function () {
+  'use strict';
+
+  const defaults = {
+    item: '.accordion-item',
+    // The focusable button that carries aria-expanded / aria-controls
+    trigger: '.accordion-trigger',
+    // Larger click area around the trigger (defaults to the trigger itself)
+    header: null,
+    panel: '.accordion-panel',
+    activeClass: 'active',
+    // Several panels open at once; <root data-accordion-multiple> also turns it on
+    multiple: false,
+    idPrefix: 'accordion',
+    // Mirror the open item's id in the URL hash and open the item a hash
+    // points at (on load and on hashchange); items need stable ids for this
+    hash: false,
+    // Fallback for when transitionend never fires (no transition, hidden tab)
+    duration: 500,
+  };
+
+  const instances = new WeakMap();
+  let idCounter = 0;
+
+  function ensureId(el, prefix) {
+    if (!el.id) {
+      idCounter += 1;
+      el.id = `${prefix}-${idCounter}`;
+    }
+    return el.id;
+  }
+
+  /* ================= HEIGHT ANIMATION ================= */
+  // The stylesheet collapses closed panels with max-height: 0; while a panel
+  // moves we pin max-height to its real height so the transition matches the
+  // content, then release it so an open panel can still grow.
+  function afterTransition(panel, duration, callback) {
+    let done = false;
+
+    function finish(e) {
+      if (done || (e && (e.target !== panel || e.propertyName !== 'max-height'))) return;
+      done = true;
+      panel.removeEventListener('transitionend', finish);
+      clearTimeout(timer);
+      callback();
+    }
+
+    panel.addEventListener('transitionend', finish);
+    const timer = setTimeout(finish, duration);
+  }
+
+  function expand(panel, duration) {
+    panel.style.maxHeight = `${panel.scrollHeight}px`;
+    afterTransition(panel, duration, () => {
+      if (panel.getAttribute('data-accordion-state') === 'open') panel.style.maxHeight = 'none';
+    });
+  }
+
+  function collapse(panel, duration) {
+    panel.style.maxHeight = `${panel.scrollHeight}px`;
+    // Force a reflow so the browser starts from the measured height
+    void panel.offsetHeight;
+    panel.style.maxHeight = '';
+    afterTransition(panel, duration, () => {});
+  }
+
+  /* ================= DEEP LINKS ================= */
+  function getHashId() {
+    try {
+      return decodeURIComponent(window.location.hash.slice(1));
+    } catch (error) {
+      return '';
+    }
+  }
+
+  function setHash(id) {
+    const url = id
+      ? `#${encodeURIComponent(id)}`
+      : window.location.pathname + window.location.search;
+    history.replaceState(history.state, '', url);
+  }
+
+  // Absolute link to an item, for sharing
+  function getLink(item) {
+    const url = new URL(window.location.href);
+    url.hash = item.id;
+    return url.href;
+  }
+
+  /* ================= ACCORDION ================= */
+  // create(root, options) -> { open, close, toggle, isOpen, refresh, getItems,
+  // openFromHash }
+  // Items are looked up live, so cards added later only need refresh() for
+  // their ARIA wiring. Emits accordion:open / accordion:close on the item.
+  function create(root, options = {}) {
+    if (instances.has(root)) return instances.get(root);
+
+    const settings = { ...defaults, ...options };
+    const multiple = settings.multiple || root.hasAttribute('data-accordion-multiple');
+
+    function getItems() {
+      return Array.from(root.querySelectorAll(settings.item));
+    }
+
+    function getParts(item) {
+      return {
+        trigger: item.querySelector(settings.trigger),
+        panel: item.querySelector(settings.panel),
+      };
+    }
+
+    function isOpen(item) {
+      return item.classList.contains(settings.activeClass);
+    }
+
+    function sync(item) {
+      const { trigger, panel } = getParts(item);
+      const open = isOpen(item);
+      if (!trigger || !panel) return;
+
+      trigger.setAttribute('aria-expanded', open ? 'true' : 'false');
+      trigger.setAttribute('aria-controls', ensureId(panel, `${settings.idPrefix}-panel`));
+      panel.setAttribute('role', 'region');
+      panel.setAttribute('aria-labelledby', ensureId(trigger, `${settings.idPrefix}-trigger`));
+      panel.setAttribute('data-accordion-state', open ? 'open' : 'closed');
+      // Closed panels are only visually collapsed – keep them out of the tab
+      // order and away from screen readers too
+      panel.inert = !open;
+      if (open) panel.style.maxHeight = 'none';
+    }
+
+    function emit(item, type) {
+      const { trigger, panel } = getParts(item);
+      item.dispatchEvent(new CustomEvent(`accordion:${type}`, {
+        bubbles: true,
+        detail: { item, trigger, panel, root },
+      }));
+    }
+
+    function close(item) {
+      if (!item || !isOpen(item)) return;
+
+      const { panel } = getParts(item);
+      item.classList.remove(settings.activeClass);
+      sync(item);
+      if (panel) collapse(panel, settings.duration);
+      emit(item, 'close');
+    }
+
+    function open(item) {
+      if (!item || isOpen(item)) return;
+
+      if (!multiple) getItems().filter(other => other !== item).forEach(close);
+
+      const { panel } = getParts(item);
+      item.classList.add(settings.activeClass);
+      sync(item);
+      if (panel) {
+        panel.style.maxHeight = '';
+        expand(panel, settings.duration);
+      }
+      emit(item, 'open');
+    }
+
+    function toggle(item) {
+      if (isOpen(item)) {
+        close(item);
+      } else {
+        open(item);
+      }
+    }
+
+    function refresh() {
+      getItems().forEach(sync);
+    }
+
+    // Opens and scrolls to the item the URL hash names; false when the hash
+    // isn't one of ours (yet – e.g. a module that hasn't been paged in)
+    function openFromHash() {
+      const id = getHashId();
+      const item = id ? getItems().find(el => el.id === id) : null;
+      if (!item) return false;
+
+      open(item);
+      item.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return true;
+    }
+
+    root.addEventListener('click', (e) => {
+      const area = e.target.closest(settings.header || settings.trigger);
+      if (!area || !root.contains(area)) return;
+
+      const item = area.closest(settings.item);
+      if (!item) return;
+
+      e.preventDefault();
+      toggle(item);
+
+      if (settings.hash && item.id) {
+        if (isOpen(item)) {
+          setHash(item.id);
+        } else if (getHashId() === item.id) {
+          setHash('');
+        }
+      }
+    });
+
+    // Arrow keys move between headers; Home/End jump to the first/last one.
+    // Items hidden by a filter are skipped.
+    root.addEventListener('keydown', (e) => {
+      const trigger = e.target.closest(settings.trigger);
+      if (!trigger) return;
+
+      const triggers = getItems()
+        .filter(item => !item.hidden)
+        .map(item => getParts(item).trigger)
+        .filter(Boolean);
+      const index = triggers.indexOf(trigger);
+      if (index === -1) return;
+
+      let next = null;
+      if (e.key === 'ArrowDown') next = triggers[(index + 1) % triggers.length];
+      if (e.key === 'ArrowUp') next = triggers[(index - 1 + triggers.length) % triggers.length];
+      if (e.key === 'Home') next = triggers[0];
+      if (e.key === 'End') next = triggers[triggers.length - 1];
+
+      if (next) {
+        e.preventDefault();
+        next.focus();
+      }
+    });
+
+    refresh();
+
+    if (settings.hash) {
+      window.addEventListener('hashchange', openFromHash);
+      openFromHash();
+    }
+
+    const instance = { open, close, toggle, isOpen, refresh, getItems, openFromHash };
+    instances.set(root, instance);
+    return instance;
+  }
+
+  function get(root) {
+    return instances.get(root) || null;
+  }
+
+  window.ThemeAccordion = {
+    create,
+    get,
+    getLink,
+  };
+})();
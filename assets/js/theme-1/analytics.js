@@ -0,0 +1,385 @@
+/**
+ * Theme Analytics – Event Bus & Funnel
+ * One place the page's interactions are published to: typed event names with
+ * checked payloads, subscribers, adapters that forward to GA4, Meta Pixel,
+ * an endpoint or the console, and the landing → pricing → checkout →
+ * purchase funnel. Other modules add their own types (video-analytics.js)
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    // Adapters used when <body data-analytics="ga4 meta endpoint console"> names none
+    adapters: ['collector'],
+    sessionKey: 'analyticsSession',
+    funnelKey: 'analyticsFunnel',
+    funnel: ['landing', 'pricing', 'checkout', 'purchase'],
+    // Seeing these sections counts as reaching the step
+    funnelSections: {
+      pricing: '.pricing-section',
+      checkout: '.checkout-section',
+    },
+    // Share of the section that has to be on screen
+    sectionThreshold: 0.3,
+    // Endpoint adapter: events per request, and how long a partial batch waits (ms)
+    batchSize: 10,
+    flushDelay: 5000,
+    collectorLimit: 500,
+  };
+
+  // Event name -> payload fields it has to carry. Payloads never hold
+  // personal data (names, emails, phone numbers).
+  const types = {
+    page_view: ['page', 'title'],
+    language_change: ['from', 'to'],
+    pricing_period_change: ['period', 'months'],
+    plan_view: ['plan', 'source'],
+    plan_select: ['plan', 'period', 'source'],
+    faq_open: ['id', 'question'],
+    payment_method_select: ['method'],
+    form_submit: ['form'],
+    purchase: ['orderId', 'plan', 'period', 'value', 'currency', 'method'],
+    funnel_step: ['step', 'index', 'implied'],
+  };
+
+  // Events that mean the visitor got at least this far
+  const stepEvents = {
+    pricing_period_change: 'pricing',
+    plan_view: 'pricing',
+    plan_select: 'checkout',
+    payment_method_select: 'checkout',
+    purchase: 'purchase',
+  };
+
+  const adapters = {};
+  // name (or '*') -> [fn]
+  const subscribers = {};
+  let session = null;
+
+  function getLocale() {
+    return window.ThemeI18n ? window.ThemeI18n.getLocale() : document.documentElement.lang;
+  }
+
+  /* ================= STORAGE ================= */
+  function readSession(key, fallback) {
+    try {
+      return JSON.parse(sessionStorage.getItem(key)) || fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  function writeSession(key, value) {
+    try {
+      sessionStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`Could not save ${key}:`, error);
+    }
+  }
+
+  // Random per tab; survives the reload of a language switch
+  function getSession() {
+    if (!session) {
+      session = readSession(config.sessionKey, null);
+      if (!session) {
+        session = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        writeSession(config.sessionKey, session);
+      }
+    }
+    return session;
+  }
+
+  /* ================= ADAPTERS ================= */
+  // An adapter is { send(event) }, event being { name, params, locale,
+  // session, timestamp }; batching adapters also implement flush(), which
+  // runs when the page is hidden or left.
+  function registerAdapter(name, adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+      throw new Error(`Analytics adapter "${name}" needs a send(event) method`);
+    }
+    adapters[name] = adapter;
+    return adapter;
+  }
+
+  function getAdapterNames() {
+    const attr = document.body ? document.body.getAttribute('data-analytics') : null;
+    return attr !== null ? attr.split(/[\s,]+/).filter(Boolean) : config.adapters;
+  }
+
+  // gtag.js must already be on the page; purchases use GA4's own event shape
+  function createGA4Adapter() {
+    return {
+      send(event) {
+        if (typeof window.gtag !== 'function') return;
+
+        const { params } = event;
+        if (event.name === 'purchase') {
+          window.gtag('event', 'purchase', {
+            transaction_id: params.orderId,
+            value: params.value,
+            currency: params.currency,
+            payment_type: params.method,
+            items: [{ item_id: params.plan, item_variant: params.period }],
+          });
+          return;
+        }
+
+        window.gtag('event', event.name, { ...params, language: event.locale });
+      },
+    };
+  }
+
+  // The pixel's standard events where one fits, custom events otherwise.
+  // PageView is left to the pixel's own snippet.
+  function createMetaPixelAdapter() {
+    const standard = {
+      plan_select: (params) => ['InitiateCheckout', { content_ids: [params.plan], content_category: params.period }],
+      payment_method_select: () => ['AddPaymentInfo', {}],
+      purchase: (params) => ['Purchase', { value: params.value, currency: params.currency, content_ids: [params.plan] }],
+    };
+
+    return {
+      send(event) {
+        if (typeof window.fbq !== 'function' || event.name === 'page_view') return;
+
+        if (standard[event.name]) {
+          const [name, params] = standard[event.name](event.params);
+          window.fbq('track', name, params);
+        } else if (event.name === 'form_submit' && event.params.form === 'contact') {
+          window.fbq('track', 'Contact');
+        } else {
+          window.fbq('trackCustom', event.name, event.params);
+        }
+      },
+    };
+  }
+
+  function createConsoleAdapter() {
+    return {
+      send(event) {
+        console.info(`[analytics] ${event.name}`, event);
+      },
+    };
+  }
+
+  // POSTs { events: [...] } as JSON – sendBeacon so the last batch still
+  // leaves when the page is closing, fetch(keepalive) where that's missing
+  function createEndpointAdapter(endpoint) {
+    const queue = [];
+    let timer = null;
+
+    function getUrl() {
+      return endpoint || (document.body && document.body.getAttribute('data-analytics-endpoint'));
+    }
+
+    function flush() {
+      clearTimeout(timer);
+      timer = null;
+      if (!queue.length) return;
+
+      const url = getUrl();
+      if (!url) {
+        console.warn('Analytics endpoint adapter has no endpoint (data-analytics-endpoint)');
+        queue.length = 0;
+        return;
+      }
+
+      const body = JSON.stringify({ events: queue.splice(0) });
+      if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return;
+
+      fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true,
+      }).catch(error => {
+        console.warn('Analytics could not be sent:', error);
+      });
+    }
+
+    return {
+      send(event) {
+        queue.push(event);
+        if (queue.length >= config.batchSize) {
+          flush();
+        } else if (!timer) {
+          timer = setTimeout(flush, config.flushDelay);
+        }
+      },
+      flush,
+    };
+  }
+
+  // Keeps events in memory – for tests and for poking around in the console
+  function createCollectorAdapter() {
+    const events = [];
+
+    return {
+      send(event) {
+        events.push(event);
+        if (events.length > config.collectorLimit) events.shift();
+      },
+      // Optionally only the events with this name
+      getEvents(name) {
+        return events.filter(event => !name || event.name === name);
+      },
+      clear() {
+        events.length = 0;
+      },
+    };
+  }
+
+  const collector = registerAdapter('collector', createCollectorAdapter());
+  registerAdapter('ga4', createGA4Adapter());
+  registerAdapter('meta', createMetaPixelAdapter());
+  registerAdapter('endpoint', createEndpointAdapter());
+  registerAdapter('console', createConsoleAdapter());
+
+  function flush() {
+    Object.keys(adapters).forEach(name => {
+      if (typeof adapters[name].flush === 'function') adapters[name].flush();
+    });
+  }
+
+  /* ================= BUS ================= */
+  // Adds an event type (or more required fields to one) at runtime
+  function defineEvent(name, fields) {
+    types[name] = (types[name] || []).concat(fields || []);
+  }
+
+  // subscribe(name | '*', fn(event)) -> unsubscribe()
+  function subscribe(name, fn) {
+    (subscribers[name] = subscribers[name] || []).push(fn);
+    return () => {
+      subscribers[name] = subscribers[name].filter(other => other !== fn);
+    };
+  }
+
+  function deliver(event) {
+    getAdapterNames().forEach(adapterName => {
+      const adapter = adapters[adapterName];
+      if (!adapter) {
+        console.warn(`Unknown analytics adapter "${adapterName}"`);
+        return;
+      }
+
+      try {
+        adapter.send(event);
+      } catch (error) {
+        console.error(`Analytics adapter "${adapterName}" failed:`, error);
+      }
+    });
+
+    (subscribers[event.name] || []).concat(subscribers['*'] || []).forEach(fn => {
+      try {
+        fn(event);
+      } catch (error) {
+        console.error(`Analytics subscriber for "${event.name}" failed:`, error);
+      }
+    });
+  }
+
+  // publish(name, params) -> the event, or null for an unknown name. Missing
+  // fields are reported but the event still goes out.
+  function publish(name, params = {}) {
+    const fields = types[name];
+    if (!fields) {
+      console.warn(`Unknown analytics event "${name}"`);
+      return null;
+    }
+
+    const missing = fields.filter(field => params[field] === undefined);
+    if (missing.length) console.warn(`Analytics event "${name}" is missing ${missing.join(', ')}`);
+
+    const event = {
+      name,
+      params: { ...params },
+      locale: getLocale(),
+      session: getSession(),
+      timestamp: Date.now(),
+    };
+
+    deliver(event);
+    if (stepEvents[name]) reachStep(stepEvents[name]);
+    return event;
+  }
+
+  /* ================= FUNNEL ================= */
+  // sessionStorage: { [step]: timestamp } – one funnel per tab
+  function getFunnel() {
+    return readSession(config.funnelKey, {});
+  }
+
+  // Reaching a step also fills in the ones before it the visitor skipped
+  // (a deep link straight to checkout still passed "pricing"), so the counts
+  // narrow from step to step
+  function reachStep(step) {
+    const index = config.funnel.indexOf(step);
+    if (index === -1) return;
+
+    const reached = getFunnel();
+    if (reached[step]) return;
+
+    const now = Date.now();
+    config.funnel.slice(0, index + 1).forEach((name, i) => {
+      if (reached[name]) return;
+
+      reached[name] = now;
+      writeSession(config.funnelKey, reached);
+      publish('funnel_step', { step: name, index: i, implied: name !== step });
+    });
+  }
+
+  function watchSections() {
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        observer.unobserve(entry.target);
+        reachStep(entry.target.getAttribute('data-funnel-step'));
+      });
+    }, { threshold: config.sectionThreshold });
+
+    Object.keys(config.funnelSections).forEach(step => {
+      const el = document.querySelector(config.funnelSections[step]);
+      if (!el) return;
+      el.setAttribute('data-funnel-step', step);
+      observer.observe(el);
+    });
+  }
+
+  /* ================= INIT ================= */
+  function init() {
+    publish('page_view', { page: window.location.pathname, title: document.title });
+    reachStep('landing');
+    watchSections();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+
+  window.ThemeAnalytics = {
+    publish,
+    subscribe,
+    defineEvent,
+    registerAdapter,
+    createGA4Adapter,
+    createMetaPixelAdapter,
+    createEndpointAdapter,
+    createConsoleAdapter,
+    createCollectorAdapter,
+    collector,
+    getFunnel,
+    flush,
+  };
+})();
@@ -0,0 +1,1024 @@
+/**
+ * Theme Checkout – Validation, Order State & Submission
+ * Orders go out through a pluggable adapter (fetch to an endpoint, or a local mock);
+ * payment methods are plugins that bring their own tile, fields and submit step
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    // Adapter used when the section doesn't name one (data-checkout-adapter);
+    // "fetch" is picked automatically when data-checkout-endpoint is set.
+    // None by default: the mock only runs when asked for with
+    // data-checkout-adapter="mock", never in place of a real backend.
+    adapter: '',
+    emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    phonePattern: /^\+?[0-9\s-]+$/,
+    phoneDigits: { min: 8, max: 15 },
+    nameMinLength: 2,
+  };
+
+  const adapters = {};
+  const methods = [];
+  let section = null;
+  let submitBtn = null;
+  let statusEl = null;
+  let methodsEl = null;
+  let fieldsEl = null;
+  let state = 'idle';
+  let stateParams = null;
+  let stateMessage = null;
+  let activeMethod = null;
+  let paymentStep = null;
+  let promoMessage = null;
+  let guard = null;
+  let drafts = null;
+  let orderKey = null;
+
+  const errorFallbacks = {
+    'checkout.errors.required': 'This field is required',
+    'checkout.errors.name': 'Please enter your full name',
+    'checkout.errors.email': 'Please enter a valid email address',
+    'checkout.errors.phone': 'Please enter a valid phone number',
+  };
+
+  function translate(key, fallback, params) {
+    if (window.ThemeI18n) return window.ThemeI18n.t(key, params, fallback);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? params[name] : match
+    ));
+  }
+
+  // Site-wide event bus (analytics.js), when it's loaded
+  function publish(name, params) {
+    if (window.ThemeAnalytics) window.ThemeAnalytics.publish(name, params);
+  }
+
+  // Orders from a stand-in adapter (result.test) placed nothing, so they
+  // never count as revenue
+  function publishPurchase(order, result) {
+    if (result && result.test) return;
+
+    publish('purchase', {
+      orderId: result && result.orderId ? result.orderId : '',
+      plan: order.item.plan,
+      period: order.item.period,
+      value: order.amount,
+      currency: order.currency,
+      method: order.paymentMethod,
+    });
+  }
+
+  /* ================= ADAPTERS ================= */
+  // An adapter is { submit(order) } returning a promise of { orderId }.
+  // It rejects (with an Error) when the order could not be placed, with
+  // error.offline set when the network is down. Adapters that support
+  // wallet payments also implement requestOtp(order), and ones that know the
+  // promo codes lookupPromo(code) -> promise of the code's rule (see promo.js)
+  // or null; stand-ins that place nothing add test: true to what they
+  // resolve with.
+  function registerAdapter(name, adapter) {
+    if (!adapter || typeof adapter.submit !== 'function') {
+      throw new Error(`Checkout adapter "${name}" needs a submit(order) method`);
+    }
+    adapters[name] = adapter;
+    return adapter;
+  }
+
+  // Promo codes can be looked up before init() has run
+  function getSection() {
+    return section || document.querySelector('.checkout-section');
+  }
+
+  function getAdapterName() {
+    const el = getSection();
+    if (el && el.hasAttribute('data-checkout-adapter')) {
+      return el.getAttribute('data-checkout-adapter');
+    }
+    if (el && el.hasAttribute('data-checkout-endpoint')) return 'fetch';
+    return config.adapter;
+  }
+
+  function createFetchAdapter(endpoint) {
+    function post(payload, key) {
+      const el = getSection();
+      const url = endpoint || (el && el.getAttribute('data-checkout-endpoint'));
+      if (!url) return Promise.reject(new Error('No checkout endpoint configured'));
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (key) headers['Idempotency-Key'] = key;
+
+      return fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+      }).catch(error => {
+        error.offline = true;
+        throw error;
+      }).then(res => {
+        if (!res.ok) throw new Error(`Checkout failed (${res.status})`);
+        return res.json();
+      });
+    }
+
+    return {
+      submit(order) {
+        return post(order, order.idempotencyKey);
+      },
+      requestOtp(order) {
+        return post({ action: 'request-otp', order });
+      },
+      // Expects { promo: rule | null }
+      lookupPromo(code) {
+        return post({ action: 'promo', code }).then(data => (data && data.promo) || null);
+      },
+    };
+  }
+
+  // Local stand-in for the payment backend. Any order whose customer email
+  // ends in @fail.test is declined, so both outcomes can be exercised; wallet
+  // payments accept settings.otp as the only valid code. Orders fail as
+  // offline while navigator.onLine is false. Promo codes come from the test
+  // list in settings.promoCodes.
+  function createMockAdapter(options = {}) {
+    const settings = {
+      delay: 800,
+      fail: false,
+      otp: '123456',
+      promoCodes: 'assets/data/theme-1/promo-codes.json',
+      ...options,
+    };
+
+    function later(callback) {
+      return new Promise((resolve, reject) => {
+        setTimeout(() => callback(resolve, reject), settings.delay);
+      });
+    }
+
+    return {
+      submit(order) {
+        return later((resolve, reject) => {
+          if (navigator.onLine === false) {
+            const error = new Error('Mock adapter is offline');
+            error.offline = true;
+            reject(error);
+            return;
+          }
+
+          const declined = settings.fail || /@fail\.test$/i.test(order.customer.email);
+          if (declined) {
+            reject(new Error('Payment declined by mock adapter'));
+            return;
+          }
+
+          if (order.payment && order.payment.otp !== undefined && order.payment.otp !== settings.otp) {
+            reject(new Error('Invalid verification code'));
+            return;
+          }
+
+          resolve({ orderId: `MOCK-${Date.now().toString(36).toUpperCase()}`, test: true });
+        });
+      },
+      requestOtp() {
+        return later(resolve => resolve({ sent: true }));
+      },
+      lookupPromo(code) {
+        return fetch(settings.promoCodes)
+          .then(res => {
+            if (!res.ok) throw new Error(`Could not load promo codes (${res.status})`);
+            return res.json();
+          })
+          .then(data => (data.codes || []).find(rule => String(rule.code).toUpperCase() === code) || null);
+      },
+    };
+  }
+
+  registerAdapter('fetch', createFetchAdapter());
+  registerAdapter('mock', createMockAdapter());
+
+  // Codes are checked by the same backend that takes the order, so the
+  // list never has to ship to the browser
+  function lookupPromo(code) {
+    const adapterName = getAdapterName();
+    const adapter = adapters[adapterName];
+    if (!adapter || typeof adapter.lookupPromo !== 'function') {
+      return Promise.reject(new Error(adapterName
+        ? `Checkout adapter "${adapterName}" can't look up promo codes`
+        : 'Checkout is not configured, so promo codes can\'t be looked up'));
+    }
+    return adapter.lookupPromo(code);
+  }
+
+  /* ================= PAYMENT METHODS ================= */
+  // A payment method plugin:
+  //   id        unique id, also the tile's data-method
+  //   tile      { logo, name: [key, fallback], details: [key, fallback] }
+  //             or render() returning the tile's inner element
+  //   fields    [{ name, label: [key, fallback], placeholder, type, dir,
+  //              autocomplete, inputmode, half, step, format(value) }]
+  //             fields with a step only show once submit() moved to that step
+  //   validate(values, step)   -> { fieldName: errorKey }
+  //   messages  fallback text for those error keys
+  //   getPayment(values, step) -> the order's payment object (no secrets)
+  //   submit(order, { adapter, step, values })
+  //             -> promise of { orderId } or { step, message: [key, fallback], params }
+  function registerPaymentMethod(method) {
+    if (!method || !method.id) throw new Error('Payment methods need an id');
+
+    const existing = methods.findIndex(item => item.id === method.id);
+    const entry = { fields: [], messages: {}, ...method };
+
+    if (existing !== -1) {
+      methods.splice(existing, 1, entry);
+    } else {
+      methods.push(entry);
+    }
+
+    Object.keys(entry.messages).forEach(key => {
+      errorFallbacks[key] = entry.messages[key];
+    });
+
+    if (section) renderMethods();
+    return entry;
+  }
+
+  function getPaymentMethod(id) {
+    return methods.find(method => method.id === (id || (activeMethod && activeMethod.id))) || null;
+  }
+
+  function translatePair(pair, params) {
+    if (!pair) return '';
+    return translate(pair[0], pair[1], params);
+  }
+
+  function createTile(method) {
+    if (typeof method.render === 'function') return method.render();
+
+    const tile = method.tile || {};
+    const content = document.createElement('div');
+    content.className = 'checkout-payment-card-content';
+
+    const info = document.createElement('div');
+    info.className = 'checkout-payment-info';
+
+    if (tile.logo) {
+      const logo = document.createElement('div');
+      logo.className = 'checkout-payment-logo';
+      const img = document.createElement('img');
+      img.src = tile.logo;
+      img.alt = '';
+      img.className = 'checkout-payment-icon';
+      logo.appendChild(img);
+      info.appendChild(logo);
+    }
+
+    const text = document.createElement('div');
+    text.className = 'checkout-payment-info-text';
+
+    [['name', 'h4', 'checkout-payment-name'], ['details', 'p', 'checkout-payment-details']].forEach(([prop, tag, className]) => {
+      if (!tile[prop]) return;
+      const el = document.createElement(tag);
+      el.className = className;
+      el.setAttribute('data-i18n', tile[prop][0]);
+      el.textContent = translatePair(tile[prop]);
+      text.appendChild(el);
+    });
+
+    info.appendChild(text);
+    content.appendChild(info);
+    return content;
+  }
+
+  function renderMethods() {
+    if (!methodsEl) return;
+
+    methodsEl.innerHTML = '';
+    methodsEl.setAttribute('role', 'radiogroup');
+
+    if (!activeMethod || !getPaymentMethod(activeMethod.id)) activeMethod = methods[0] || null;
+
+    methods.forEach(method => {
+      const card = document.createElement('div');
+      const isActive = method === activeMethod;
+
+      card.className = `checkout-payment-card${isActive ? ' checkout-payment-active' : ''}`;
+      card.setAttribute('data-method', method.id);
+      card.setAttribute('role', 'radio');
+      card.setAttribute('aria-checked', isActive ? 'true' : 'false');
+      card.tabIndex = isActive ? 0 : -1;
+      card.appendChild(createTile(method));
+      methodsEl.appendChild(card);
+    });
+
+    renderPaymentFields();
+  }
+
+  function selectPaymentMethod(id, focus) {
+    const method = getPaymentMethod(id);
+    if (!method || !methodsEl) return;
+
+    if (method !== activeMethod) {
+      activeMethod = method;
+      publish('payment_method_select', { method: method.id });
+      paymentStep = null;
+      if (state === 'error' || state === 'awaiting') setState('idle');
+    }
+
+    methodsEl.querySelectorAll('.checkout-payment-card').forEach(card => {
+      const isActive = card.getAttribute('data-method') === method.id;
+      card.classList.toggle('checkout-payment-active', isActive);
+      card.setAttribute('aria-checked', isActive ? 'true' : 'false');
+      card.tabIndex = isActive ? 0 : -1;
+      if (isActive && focus) card.focus();
+    });
+
+    renderPaymentFields();
+  }
+
+  function renderPaymentFields() {
+    if (!fieldsEl) return;
+
+    // Keep what was typed when the fields re-render for a new step
+    const previous = getPaymentValues();
+    fieldsEl.innerHTML = '';
+
+    if (!activeMethod) {
+      fieldsEl.hidden = true;
+      return;
+    }
+
+    const visible = activeMethod.fields.filter(field => !field.step || field.step === paymentStep);
+    fieldsEl.hidden = !visible.length;
+
+    visible.forEach(field => {
+      const id = `payment-${activeMethod.id}-${field.name}`;
+      const group = document.createElement('div');
+      group.className = `checkout-input-group${field.half ? ' checkout-input-group-half' : ''}`;
+
+      const label = document.createElement('label');
+      label.className = 'checkout-label';
+      label.htmlFor = id;
+      const labelText = document.createElement('span');
+      if (field.label) labelText.setAttribute('data-i18n', field.label[0]);
+      labelText.textContent = translatePair(field.label) || field.name;
+      const required = document.createElement('span');
+      required.className = 'checkout-required';
+      required.textContent = '*';
+      label.append(labelText, ' ', required);
+
+      const input = document.createElement('input');
+      input.className = 'checkout-input';
+      input.id = id;
+      input.name = field.name;
+      input.type = field.type || 'text';
+      input.required = true;
+      input.setAttribute('data-payment-field', '');
+      if (field.dir) input.dir = field.dir;
+      if (field.autocomplete) input.autocomplete = field.autocomplete;
+      if (field.inputmode) input.setAttribute('inputmode', field.inputmode);
+      if (field.maxlength) input.maxLength = field.maxlength;
+      if (field.placeholder) {
+        input.setAttribute('data-i18n-placeholder', field.placeholder[0]);
+        input.placeholder = translatePair(field.placeholder);
+      }
+      if (previous[field.name]) input.value = previous[field.name];
+
+      group.append(label, input);
+      fieldsEl.appendChild(group);
+    });
+  }
+
+  function getPaymentValues() {
+    const values = {};
+    if (!fieldsEl) return values;
+
+    fieldsEl.querySelectorAll('[data-payment-field]').forEach(input => {
+      values[input.name] = input.value.trim();
+    });
+    return values;
+  }
+
+  function getPaymentErrors() {
+    if (!activeMethod || typeof activeMethod.validate !== 'function') return {};
+    return activeMethod.validate(getPaymentValues(), paymentStep) || {};
+  }
+
+  function getPaymentFieldDef(name) {
+    return activeMethod ? activeMethod.fields.find(field => field.name === name) : null;
+  }
+
+  /* ================= FIELDS ================= */
+  function getField(name) {
+    return section ? section.querySelector(`.checkout-input[name="${name}"]`) : null;
+  }
+
+  function getValue(name) {
+    const field = getField(name);
+    return field ? field.value.trim() : '';
+  }
+
+  // Returns an error message key, or '' when the value is fine
+  function validateField(name, value) {
+    if (!value) return 'checkout.errors.required';
+
+    if (name === 'name' && value.length < config.nameMinLength) {
+      return 'checkout.errors.name';
+    }
+
+    if (name === 'email' && !config.emailPattern.test(value)) {
+      return 'checkout.errors.email';
+    }
+
+    if (name === 'phone') {
+      const digits = value.replace(/\D/g, '').length;
+      if (!config.phonePattern.test(value) || digits < config.phoneDigits.min || digits > config.phoneDigits.max) {
+        return 'checkout.errors.phone';
+      }
+    }
+
+    return '';
+  }
+
+
+  function showFieldError(field, key) {
+    const group = field.closest('.checkout-input-group') || field.parentNode;
+    let errorEl = group.querySelector('.checkout-error');
+
+    if (!key) {
+      field.removeAttribute('aria-invalid');
+      field.classList.remove('is-invalid');
+      if (errorEl) {
+        errorEl.hidden = true;
+        errorEl.textContent = '';
+        errorEl.removeAttribute('data-i18n');
+      }
+      return;
+    }
+
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.className = 'checkout-error';
+      errorEl.id = `${field.id || field.name}Error`;
+      group.appendChild(errorEl);
+      field.setAttribute('aria-describedby', errorEl.id);
+    }
+
+    // data-i18n keeps the message in the active language after a switch
+    errorEl.setAttribute('data-i18n', key);
+    errorEl.textContent = translate(key, errorFallbacks[key] || key);
+    errorEl.hidden = false;
+    field.setAttribute('aria-invalid', 'true');
+    field.classList.add('is-invalid');
+  }
+
+  function validate() {
+    const fields = ['name', 'phone', 'email'];
+    let firstInvalid = null;
+
+    fields.forEach(name => {
+      const field = getField(name);
+      if (!field) return;
+
+      const error = validateField(name, field.value.trim());
+      showFieldError(field, error);
+      if (error && !firstInvalid) firstInvalid = field;
+    });
+
+    const paymentErrors = getPaymentErrors();
+    if (fieldsEl) {
+      fieldsEl.querySelectorAll('[data-payment-field]').forEach(field => {
+        const error = paymentErrors[field.name] || '';
+        showFieldError(field, error);
+        if (error && !firstInvalid) firstInvalid = field;
+      });
+    }
+
+    if (firstInvalid) firstInvalid.focus();
+    return !firstInvalid;
+  }
+
+  /* ================= ORDER ================= */
+  function getPayment() {
+    if (!activeMethod) return null;
+    if (typeof activeMethod.getPayment === 'function') {
+      return activeMethod.getPayment(getPaymentValues(), paymentStep);
+    }
+    return { method: activeMethod.id };
+  }
+
+  function getCurrency() {
+    return window.ThemeCurrency
+      ? window.ThemeCurrency.getCurrency()
+      : (document.documentElement.getAttribute('data-currency') || 'EGP');
+  }
+
+  // What is being bought: plan/period from the pricing selection (if any)
+  function getPricingContext() {
+    const priceEl = section.querySelector('.checkout-price-value');
+    return {
+      plan: section.getAttribute('data-plan'),
+      period: priceEl ? priceEl.getAttribute('data-period') : null,
+      currency: getCurrency(),
+    };
+  }
+
+  function getSubtotal() {
+    const priceEl = section.querySelector('.checkout-price-value');
+    return priceEl ? Number(priceEl.getAttribute('data-value')) || 0 : 0;
+  }
+
+  function getDiscount() {
+    const promo = window.ThemePromo;
+    return promo ? promo.getDiscount(getSubtotal(), getPricingContext()) : 0;
+  }
+
+  function getOrder() {
+    const titleEl = section.querySelector('.checkout-course-title');
+    const context = getPricingContext();
+    const subtotal = getSubtotal();
+    const discount = getDiscount();
+
+    return {
+      item: {
+        plan: context.plan,
+        period: context.period,
+        title: titleEl ? titleEl.textContent.trim() : '',
+      },
+      subtotal,
+      discount,
+      // Both come from the browser – the backend has to check the code and
+      // recompute the amount before charging
+      promoCode: discount && window.ThemePromo ? window.ThemePromo.getCode() : null,
+      amount: subtotal - discount,
+      currency: context.currency,
+      paymentMethod: activeMethod ? activeMethod.id : null,
+      payment: getPayment(),
+      customer: {
+        name: getValue('name'),
+        phone: getValue('phone'),
+        email: getValue('email'),
+      },
+      locale: window.ThemeI18n ? window.ThemeI18n.getLocale() : document.documentElement.lang,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  /* ================= TOTAL & PROMO ================= */
+  // The total is derived here: course price (.checkout-price-value, kept in
+  // the visitor's currency by ThemeCurrency) minus any promo discount.
+  function renderTotal() {
+    const totalEl = section.querySelector('.checkout-total-price');
+    const discountEl = section.querySelector('.checkout-discount');
+    const discount = getDiscount();
+    const subtotal = getSubtotal();
+
+    if (totalEl) totalEl.setAttribute('data-value', subtotal - discount);
+
+    if (discountEl) {
+      const code = (window.ThemePromo && window.ThemePromo.getCode()) || '';
+      discountEl.hidden = !discount;
+      discountEl.querySelector('.checkout-discount-value').setAttribute('data-value', -discount);
+      discountEl.querySelector('.checkout-discount-label').textContent = translate('checkout.promo.discount', 'Discount ({code})', { code });
+    }
+
+    if (window.ThemeI18n) {
+      window.ThemeI18n.formatElements(section.querySelector('.checkout-total') || section);
+    } else {
+      if (totalEl) totalEl.textContent = subtotal - discount;
+      if (discountEl) discountEl.querySelector('.checkout-discount-value').textContent = -discount;
+    }
+
+    renderPromo();
+  }
+
+  const promoFallbacks = {
+    'checkout.promo.applied': 'Code {code} applied',
+    'checkout.promo.errors.empty': 'Please enter a code',
+    'checkout.promo.errors.invalid': 'This code isn\'t valid',
+    'checkout.promo.errors.expired': 'This code has expired',
+    'checkout.promo.errors.plan': 'This code doesn\'t apply to the selected plan',
+    'checkout.promo.errors.period': 'This code needs {period} billing or longer',
+    'checkout.promo.errors.unavailable': 'Promo codes are unavailable right now',
+  };
+
+  function getPromoParams(rule) {
+    const period = rule && rule.minPeriod ? translate(`pricing.${rule.minPeriod}`, rule.minPeriod) : '';
+    return { code: rule ? rule.code : '', period };
+  }
+
+  // Applied code's message follows the current selection: a plan switch
+  // can make it stop (or start) applying
+  function renderPromo() {
+    const box = section.querySelector('.checkout-promo');
+    const promo = window.ThemePromo;
+    if (!box || !promo) return;
+
+    const input = box.querySelector('.checkout-promo-input');
+    const button = box.querySelector('.checkout-promo-btn');
+    const messageEl = box.querySelector('.checkout-promo-message');
+    const code = promo.getCode();
+
+    if (code) {
+      const result = promo.check(code, getPricingContext());
+      promoMessage = result.ok
+        ? { key: 'checkout.promo.applied', type: 'success', params: getPromoParams(result.rule) }
+        : { key: result.error, type: 'error', params: getPromoParams(result.rule) };
+      input.value = code;
+    }
+
+    input.readOnly = Boolean(code);
+    const buttonKey = code ? 'checkout.promo.remove' : 'checkout.promo.apply';
+    button.setAttribute('data-i18n', buttonKey);
+    button.textContent = translate(buttonKey, code ? 'Remove' : 'Apply');
+
+    messageEl.hidden = !promoMessage;
+    messageEl.textContent = promoMessage
+      ? translate(promoMessage.key, promoFallbacks[promoMessage.key] || promoMessage.key, promoMessage.params)
+      : '';
+    messageEl.classList.toggle('checkout-promo-error', Boolean(promoMessage && promoMessage.type === 'error'));
+    messageEl.classList.toggle('checkout-promo-success', Boolean(promoMessage && promoMessage.type === 'success'));
+    input.setAttribute('aria-invalid', promoMessage && promoMessage.type === 'error' ? 'true' : 'false');
+  }
+
+  function submitPromo() {
+    const promo = window.ThemePromo;
+    const box = section.querySelector('.checkout-promo');
+    if (!promo || !box) return;
+
+    const input = box.querySelector('.checkout-promo-input');
+
+    if (promo.getCode()) {
+      promoMessage = null;
+      input.value = '';
+      promo.clear();
+      return;
+    }
+
+    if (!input.value.trim()) {
+      promoMessage = { key: 'checkout.promo.errors.empty', type: 'error' };
+      renderPromo();
+      return;
+    }
+
+    promo.apply(input.value, getPricingContext())
+      .then(result => {
+        if (!result.ok) {
+          promoMessage = { key: result.error, type: 'error', params: getPromoParams(result.rule) };
+          renderPromo();
+        }
+        // A valid code fires promo:change, which re-renders the total
+      })
+      .catch(error => {
+        console.error('Could not check promo code:', error);
+        promoMessage = { key: 'checkout.promo.errors.unavailable', type: 'error' };
+        renderPromo();
+      });
+  }
+
+  function initPromo() {
+    const box = section.querySelector('.checkout-promo');
+    if (!box) return;
+
+    if (!window.ThemePromo) {
+      box.hidden = true;
+      return;
+    }
+
+    const input = box.querySelector('.checkout-promo-input');
+    box.querySelector('.checkout-promo-btn').addEventListener('click', submitPromo);
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      // Enter here applies the code instead of placing the order
+      e.preventDefault();
+      e.stopPropagation();
+      submitPromo();
+    });
+
+    input.addEventListener('input', () => {
+      if (promoMessage && promoMessage.type === 'error') {
+        promoMessage = null;
+        renderPromo();
+      }
+    });
+  }
+
+  /* ================= STATE ================= */
+  // idle -> pending -> success | error, with "awaiting" when a payment
+  // method needs another step (e.g. an OTP), "blocked" when the spam guard
+  // stops it and "queued" while the order waits in the outbox; the
+  // section's data-checkout-state attribute mirrors it for styling.
+  const stateMessages = {
+    pending: ['checkout.pending', 'Processing your order…'],
+    success: ['checkout.success', 'Your order is confirmed! Order number: {id}'],
+    error: ['checkout.failure', 'We couldn\'t complete your order. Please try again.'],
+    queued: ['checkout.queued', 'You\'re offline – your order will be sent when you\'re back online.'],
+  };
+
+  function getState() {
+    return state;
+  }
+
+  function renderStatus() {
+    if (!statusEl) return;
+
+    const message = stateMessage || stateMessages[state];
+    statusEl.hidden = !message;
+    statusEl.textContent = message ? translate(message[0], message[1], stateParams) : '';
+    statusEl.classList.toggle('checkout-status-error', state === 'error' || state === 'blocked');
+    statusEl.classList.toggle('checkout-status-success', state === 'success');
+  }
+
+  function setState(next, params, message) {
+    state = next;
+    stateParams = params || null;
+    stateMessage = message || null;
+    section.setAttribute('data-checkout-state', next);
+
+    if (submitBtn) {
+      submitBtn.disabled = next === 'pending' || next === 'success' || next === 'queued';
+      submitBtn.setAttribute('aria-busy', next === 'pending' ? 'true' : 'false');
+    }
+
+    renderStatus();
+  }
+
+  function submit() {
+    if (!section || state === 'pending') return Promise.resolve(null);
+    if (!validate()) return Promise.resolve(null);
+
+    const adapterName = getAdapterName();
+    if (!adapterName) {
+      console.error('Checkout is not configured: set data-checkout-endpoint or data-checkout-adapter on .checkout-section');
+      setState('error', null, ['checkout.unconfigured', 'Online checkout isn\'t available yet. Please contact us to complete your order.']);
+      return Promise.resolve(null);
+    }
+
+    const adapter = adapters[adapterName];
+    if (!adapter) {
+      console.error(`Unknown checkout adapter "${adapterName}"`);
+      setState('error');
+      return Promise.resolve(null);
+    }
+
+    // One key per order until it goes through, so the backend can tell a
+    // resend (from the outbox or a double click) from a new order
+    if (!orderKey) orderKey = window.ThemeOutbox ? window.ThemeOutbox.createKey('checkout') : null;
+
+    const order = getOrder();
+    if (orderKey) order.idempotencyKey = orderKey;
+    const method = activeMethod;
+    const step = paymentStep;
+    const values = getPaymentValues();
+    setState('pending');
+
+    // Follow-up steps belong to an order that already passed the guard
+    const spamCheck = guard && !step ? guard.check() : Promise.resolve({ ok: true, token: null });
+
+    return spamCheck.then(check => {
+      if (!check.ok) {
+        block(check);
+        return null;
+      }
+
+      if (check.token) order.challenge = check.token;
+      return place(order, { adapter, method, step, values });
+    });
+  }
+
+  // A honeypot hit is reported as an ordinary failure – a fake
+  // confirmation could mislead a real buyer whose autofill tripped it
+  function block(check) {
+    if (check.reason === 'honeypot') {
+      console.warn('Checkout blocked by spam guard');
+      setState('error');
+      return;
+    }
+
+    setState('blocked', check.params, window.ThemeSpamGuard.getMessage(check));
+  }
+
+  function place(order, { adapter, method, step, values }) {
+    // Follow-up steps (the wallet code) are still the same submission
+    if (!step) {
+      document.dispatchEvent(new CustomEvent('checkout:submit', { detail: { order } }));
+      publish('form_submit', { form: 'checkout', plan: order.item.plan, period: order.item.period, method: order.paymentMethod });
+    }
+
+    // Methods with their own steps (wallet codes expire) can't wait offline
+    const queueable = Boolean(window.ThemeOutbox) && !(method && typeof method.submit === 'function');
+    if (queueable && !window.ThemeOutbox.isOnline()) return Promise.resolve(queue(order));
+
+    return Promise.resolve()
+      .then(() => {
+        if (method && typeof method.submit === 'function') {
+          return method.submit(order, { adapter, step, values });
+        }
+        return adapter.submit(order);
+      })
+      .then(result => {
+        // The method needs more input (e.g. the OTP it just sent)
+        if (result && result.step) {
+          paymentStep = result.step;
+          renderPaymentFields();
+          setState('awaiting', result.params, result.message);
+
+          const next = fieldsEl && fieldsEl.querySelector(`[data-payment-field][name="${getNextStepField()}"]`);
+          if (next) next.focus();
+          return result;
+        }
+
+        const orderId = result && result.orderId ? result.orderId : '';
+        paymentStep = null;
+        orderKey = null;
+        if (drafts) drafts.clear();
+        setState('success', { id: orderId });
+        document.dispatchEvent(new CustomEvent('checkout:success', { detail: { order, orderId } }));
+        publishPurchase(order, result);
+        return result;
+      })
+      .catch(error => {
+        if (queueable && window.ThemeOutbox.isOfflineError(error)) return queue(order);
+
+        console.error('Checkout failed:', error);
+        setState('error');
+        document.dispatchEvent(new CustomEvent('checkout:error', { detail: { order, error } }));
+        return null;
+      });
+  }
+
+  /* ================= OUTBOX ================= */
+  function queue(order) {
+    window.ThemeOutbox.enqueue('checkout', order, order.idempotencyKey);
+    if (drafts) drafts.clear();
+    setState('queued');
+    return { queued: true };
+  }
+
+  function initOutbox() {
+    const outbox = window.ThemeOutbox;
+    if (!outbox) return;
+
+    outbox.registerHandler('checkout', order => {
+      const adapter = adapters[getAdapterName()];
+      if (!adapter) return Promise.reject(new Error(`Unknown checkout adapter "${getAdapterName()}"`));
+      return adapter.submit(order);
+    });
+
+    document.addEventListener('outbox:sent', (e) => {
+      if (e.detail.type !== 'checkout') return;
+
+      const order = e.detail.payload;
+      const orderId = e.detail.result && e.detail.result.orderId ? e.detail.result.orderId : '';
+      if (state === 'queued' && order.idempotencyKey === orderKey) {
+        orderKey = null;
+        setState('success', { id: orderId });
+      }
+      document.dispatchEvent(new CustomEvent('checkout:success', { detail: { order, orderId } }));
+      publishPurchase(order, e.detail.result);
+    });
+
+    document.addEventListener('outbox:failed', (e) => {
+      if (e.detail.type !== 'checkout') return;
+
+      const order = e.detail.payload;
+      if (state === 'queued' && order.idempotencyKey === orderKey) setState('error');
+      document.dispatchEvent(new CustomEvent('checkout:error', { detail: { order, error: e.detail.error } }));
+    });
+  }
+
+  function getNextStepField() {
+    const field = activeMethod && activeMethod.fields.find(item => item.step === paymentStep);
+    return field ? field.name : '';
+  }
+
+  /* ================= INIT ================= */
+  function init() {
+    section = document.querySelector('.checkout-section');
+    if (!section) return;
+
+    submitBtn = section.querySelector('.checkout-submit-btn');
+    statusEl = section.querySelector('.checkout-status');
+    if (window.ThemeSpamGuard) {
+      guard = window.ThemeSpamGuard.protect(section, { id: 'checkout', rateLimit: { max: 5 } });
+    }
+    // Delivery details only – payment fields never reach the draft
+    if (window.ThemeDrafts) {
+      drafts = window.ThemeDrafts.track(section, {
+        id: 'checkout',
+        fields: ['name', 'phone', 'email'],
+        group: '.checkout-input-group',
+      });
+    }
+    setState('idle');
+    initOutbox();
+    initPromo();
+    renderTotal();
+
+    if (submitBtn) {
+      submitBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        submit();
+      });
+    }
+
+    methodsEl = section.querySelector('.checkout-payment-methods');
+    fieldsEl = section.querySelector('.checkout-payment-fields');
+    renderMethods();
+
+    if (methodsEl) {
+      methodsEl.addEventListener('click', (e) => {
+        const card = e.target.closest('.checkout-payment-card');
+        if (card) selectPaymentMethod(card.getAttribute('data-method'));
+      });
+
+      // Radio-group keys: Space/Enter pick, arrows move between tiles
+      methodsEl.addEventListener('keydown', (e) => {
+        const card = e.target.closest('.checkout-payment-card');
+        if (!card) return;
+
+        const cards = Array.from(methodsEl.querySelectorAll('.checkout-payment-card'));
+        const index = cards.indexOf(card);
+        const forward = document.documentElement.getAttribute('dir') === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+        const backward = forward === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+
+        if (e.key === ' ' || e.key === 'Enter') {
+          e.preventDefault();
+          selectPaymentMethod(card.getAttribute('data-method'), true);
+        } else if (e.key === forward || e.key === 'ArrowDown') {
+          e.preventDefault();
+          selectPaymentMethod(cards[(index + 1) % cards.length].getAttribute('data-method'), true);
+        } else if (e.key === backward || e.key === 'ArrowUp') {
+          e.preventDefault();
+          selectPaymentMethod(cards[(index - 1 + cards.length) % cards.length].getAttribute('data-method'), true);
+        }
+      });
+    }
+
+    // Delegated so payment fields rendered later behave the same
+    section.addEventListener('input', (e) => {
+      const field = e.target.closest('.checkout-input');
+      if (!field) return;
+
+      if (field.hasAttribute('data-payment-field')) {
+        const def = getPaymentFieldDef(field.name);
+        if (def && typeof def.format === 'function') field.value = def.format(field.value);
+      }
+
+      // Re-check a field once it has been flagged, so the error clears as they type
+      if (field.getAttribute('aria-invalid') === 'true') {
+        const error = field.hasAttribute('data-payment-field')
+          ? getPaymentErrors()[field.name]
+          : validateField(field.name, field.value.trim());
+        showFieldError(field, error || '');
+      }
+      if (state === 'error' || state === 'blocked') setState('idle');
+    });
+
+    section.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.closest('.checkout-input')) {
+        e.preventDefault();
+        submit();
+      }
+    });
+
+    document.addEventListener('i18n:change', () => {
+      renderStatus();
+      renderTotal();
+    });
+    document.addEventListener('currency:change', renderTotal);
+    document.addEventListener('promo:change', renderTotal);
+
+    // A new plan starts a new order
+    document.addEventListener('checkout:plan', () => {
+      renderTotal();
+      if (state === 'pending') return;
+      paymentStep = null;
+      orderKey = null;
+      renderPaymentFields();
+      setState('idle');
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeCheckout = {
+    registerAdapter,
+    registerPaymentMethod,
+    getPaymentMethod,
+    selectPaymentMethod,
+    createFetchAdapter,
+    createMockAdapter,
+    lookupPromo,
+    validate,
+    getOrder,
+    submit,
+    getState,
+  };
+})();
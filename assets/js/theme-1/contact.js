@@ -0,0 +1,591 @@
+/**
+ * Theme Contact – Validation, Phone Numbers & Submission
+ * Messages go out through a pluggable transport (fetch to an endpoint, a mailto:
+ * fallback, or a local mock); transient failures are retried before giving up
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    // Transport used when the form doesn't name one (data-contact-transport);
+    // "fetch" is picked automatically when data-contact-endpoint is set.
+    // None by default: the mock only runs when asked for with
+    // data-contact-transport="mock", never in place of a real backend.
+    transport: '',
+    // Recipient for the mailto transport unless the form sets data-contact-email
+    email: 'vckasess@gmail.com',
+    emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    nameMinLength: 2,
+    messageMinLength: 10,
+    // Attempts in total (first try included); waits delay × attempt between them
+    retry: { attempts: 3, delay: 1000 },
+  };
+
+  // National numbers per dial code, after the trunk prefix is dropped.
+  // Dial codes missing here fall back to a plain length check.
+  const countries = {
+    '+20': { country: 'EG', trunk: '0', pattern: /^(?:1[0125]\d{8}|[2-9]\d{7,8})$/ },
+    '+1': { country: 'US', trunk: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/ },
+    '+44': { country: 'GB', trunk: '0', pattern: /^[1-9]\d{8,9}$/ },
+    '+966': { country: 'SA', trunk: '0', pattern: /^(?:5\d{8}|1\d{7,8})$/ },
+    '+971': { country: 'AE', trunk: '0', pattern: /^(?:5[024568]\d{7}|[2-9]\d{7})$/ },
+  };
+  const fallbackDigits = { min: 6, max: 14 };
+
+  const transports = {};
+  let form = null;
+  let submitBtn = null;
+  let statusEl = null;
+  let guard = null;
+  let drafts = null;
+  let messageKey = null;
+  let state = 'idle';
+  let stateParams = null;
+  let stateMessage = null;
+
+  const errorFallbacks = {
+    'contact.errors.required': 'This field is required',
+    'contact.errors.name': 'Please enter your full name',
+    'contact.errors.email': 'Please enter a valid email address',
+    'contact.errors.phone': 'Please enter a valid phone number for {country}',
+    'contact.errors.message': 'Please write at least {min} characters',
+  };
+
+  function translate(key, fallback, params) {
+    if (window.ThemeI18n) return window.ThemeI18n.t(key, params, fallback);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? params[name] : match
+    ));
+  }
+
+  // Site-wide event bus (analytics.js), when it's loaded
+  function publish(name, params) {
+    if (window.ThemeAnalytics) window.ThemeAnalytics.publish(name, params);
+  }
+
+  /* ================= TRANSPORTS ================= */
+  // A transport is { send(message) } returning a promise. It rejects with an
+  // Error when the message could not be delivered; setting error.retryable
+  // marks the failure as temporary so the form tries again, error.offline
+  // hands the message to the outbox. queueable: false opts out of the outbox.
+  function registerTransport(name, transport) {
+    if (!transport || typeof transport.send !== 'function') {
+      throw new Error(`Contact transport "${name}" needs a send(message) method`);
+    }
+    transports[name] = transport;
+    return transport;
+  }
+
+  function getTransportName() {
+    if (form && form.hasAttribute('data-contact-transport')) {
+      return form.getAttribute('data-contact-transport');
+    }
+    if (form && form.hasAttribute('data-contact-endpoint')) return 'fetch';
+    return config.transport;
+  }
+
+  function createFetchTransport(endpoint) {
+    return {
+      send(message) {
+        const url = endpoint || (form && form.getAttribute('data-contact-endpoint'));
+        if (!url) return Promise.reject(new Error('No contact endpoint configured'));
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (message.idempotencyKey) headers['Idempotency-Key'] = message.idempotencyKey;
+
+        return fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(message),
+        })
+          .catch(error => {
+            // Network failure – worth another try, or a spot in the outbox
+            error.retryable = true;
+            error.offline = true;
+            throw error;
+          })
+          .then(res => {
+            if (!res.ok) {
+              const error = new Error(`Contact request failed (${res.status})`);
+              error.retryable = res.status >= 500 || res.status === 429;
+              throw error;
+            }
+            return res.json().catch(() => ({}));
+          });
+      },
+    };
+  }
+
+  // Hands the message to the visitor's mail app; nothing to retry or queue
+  // since delivery is up to them (and their mail app) from here.
+  function createMailtoTransport(address) {
+    return {
+      queueable: false,
+      send(message) {
+        const to = address || (form && form.getAttribute('data-contact-email')) || config.email;
+        const subject = translate('contact.mailSubject', 'Message from {name}', { name: message.name });
+        const body = [
+          message.message,
+          '',
+          `${message.name}`,
+          `${message.email}`,
+          `${message.phone}`,
+        ].join('\n');
+
+        window.location.href = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        return Promise.resolve({ mailto: true });
+      },
+    };
+  }
+
+  // Local stand-in for the backend. Emails ending in @fail.test always fail;
+  // @retry.test fails once with a temporary error, then goes through. It
+  // follows navigator.onLine, so the outbox can be tried from dev tools.
+  function createMockTransport(options = {}) {
+    const settings = { delay: 800, ...options };
+    const attempts = {};
+
+    return {
+      send(message) {
+        return new Promise((resolve, reject) => {
+          setTimeout(() => {
+            if (navigator.onLine === false) {
+              const error = new Error('Mock transport is offline');
+              error.offline = true;
+              reject(error);
+              return;
+            }
+
+            if (/@fail\.test$/i.test(message.email)) {
+              reject(new Error('Message rejected by mock transport'));
+              return;
+            }
+
+            if (/@retry\.test$/i.test(message.email) && !attempts[message.email]) {
+              attempts[message.email] = true;
+              const error = new Error('Mock transport temporarily unavailable');
+              error.retryable = true;
+              reject(error);
+              return;
+            }
+
+            resolve({ id: `MSG-${Date.now().toString(36).toUpperCase()}` });
+          }, settings.delay);
+        });
+      },
+    };
+  }
+
+  registerTransport('fetch', createFetchTransport());
+  registerTransport('mailto', createMailtoTransport());
+  registerTransport('mock', createMockTransport());
+
+  /* ================= PHONE ================= */
+  function getDialCode() {
+    const select = form && form.querySelector('.country-select');
+    return select ? select.value : '';
+  }
+
+  function getCountryName(dialCode) {
+    const entry = countries[dialCode];
+    if (!entry) return dialCode;
+
+    try {
+      const locale = window.ThemeI18n ? window.ThemeI18n.getLocale() : document.documentElement.lang;
+      return new Intl.DisplayNames([locale], { type: 'region' }).of(entry.country);
+    } catch (error) {
+      return entry.country;
+    }
+  }
+
+  // "010 1234 5678" with +20 -> "+201012345678"; '' when it doesn't fit the
+  // country. A number typed with its own +20 / 0020 prefix is accepted too.
+  function normalizePhone(value, dialCode) {
+    const code = dialCode.replace(/\D/g, '');
+    const entry = countries[dialCode];
+    let digits = String(value || '').replace(/\D/g, '');
+
+    if (/^\s*(\+|00)/.test(value)) {
+      digits = digits.replace(/^00/, '');
+      if (digits.indexOf(code) !== 0) return '';
+      digits = digits.slice(code.length);
+    }
+
+    if (entry) {
+      if (entry.trunk && digits.indexOf(entry.trunk) === 0 && !entry.pattern.test(digits)) {
+        digits = digits.slice(entry.trunk.length);
+      }
+      return entry.pattern.test(digits) ? `+${code}${digits}` : '';
+    }
+
+    if (digits.length < fallbackDigits.min || digits.length > fallbackDigits.max) return '';
+    return `+${code}${digits}`;
+  }
+
+  /* ================= VALIDATION ================= */
+  function getField(name) {
+    return form.querySelector(`[name="${name}"]`);
+  }
+
+  function getValue(name) {
+    const field = getField(name);
+    return field ? field.value.trim() : '';
+  }
+
+  // Returns [key, params] for the error, or null when the value is fine
+  function validateField(name, value) {
+    if (!value) return ['contact.errors.required'];
+
+    if (name === 'name' && value.length < config.nameMinLength) {
+      return ['contact.errors.name'];
+    }
+
+    if (name === 'email' && !config.emailPattern.test(value)) {
+      return ['contact.errors.email'];
+    }
+
+    if (name === 'phone' && !normalizePhone(value, getDialCode())) {
+      return ['contact.errors.phone', { country: getCountryName(getDialCode()) }];
+    }
+
+    if (name === 'message' && value.length < config.messageMinLength) {
+      return ['contact.errors.message', { min: config.messageMinLength }];
+    }
+
+    return null;
+  }
+
+  // Errors sit right after their .form-group (the group itself is a row of
+  // input + icon), linked to the field through aria-describedby
+  function showFieldError(field, error) {
+    const group = field.closest('.form-group') || field;
+    const errorId = `${field.id || field.name}Error`;
+    let errorEl = document.getElementById(errorId);
+
+    if (!error) {
+      field.removeAttribute('aria-invalid');
+      group.classList.remove('is-invalid');
+      if (errorEl) {
+        errorEl.hidden = true;
+        errorEl.textContent = '';
+      }
+      return;
+    }
+
+    if (!errorEl) {
+      errorEl = document.createElement('p');
+      errorEl.className = 'contact-error';
+      errorEl.id = errorId;
+      group.insertAdjacentElement('afterend', errorEl);
+      field.setAttribute('aria-describedby', errorId);
+    }
+
+    const [key, params] = error;
+    errorEl.textContent = translate(key, errorFallbacks[key] || key, params);
+    errorEl.hidden = false;
+    field.setAttribute('aria-invalid', 'true');
+    group.classList.add('is-invalid');
+  }
+
+  function validate() {
+    let firstInvalid = null;
+
+    ['name', 'email', 'phone', 'message'].forEach(name => {
+      const field = getField(name);
+      if (!field) return;
+
+      const error = validateField(name, field.value.trim());
+      showFieldError(field, error);
+      if (error && !firstInvalid) firstInvalid = field;
+    });
+
+    if (firstInvalid) firstInvalid.focus();
+    return !firstInvalid;
+  }
+
+  // Messages carry params (the country name), so a language switch
+  // re-validates the flagged fields instead of relying on data-i18n
+  function renderErrors() {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(field => {
+      showFieldError(field, validateField(field.name, field.value.trim()));
+    });
+  }
+
+  /* ================= MESSAGE ================= */
+  function getMessage() {
+    const dialCode = getDialCode();
+    const entry = countries[dialCode];
+
+    return {
+      name: getValue('name'),
+      email: getValue('email'),
+      phone: normalizePhone(getValue('phone'), dialCode),
+      country: entry ? entry.country : null,
+      message: getValue('message'),
+      locale: window.ThemeI18n ? window.ThemeI18n.getLocale() : document.documentElement.lang,
+      page: window.location.href,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  /* ================= STATE ================= */
+  // idle -> sending (-> retrying) -> sent | mailto | error, "blocked" when
+  // the spam guard stops it and "queued" while it waits in the outbox; the
+  // form's data-contact-state attribute mirrors it for styling.
+  const stateMessages = {
+    sending: ['contact.sending', 'Sending your message…'],
+    retrying: ['contact.retrying', 'Connection problem – trying again ({attempt}/{attempts})…'],
+    sent: ['contact.success', 'Thank you! Your message has been sent.'],
+    mailto: ['contact.mailto', 'Your email app should open with the message ready to send.'],
+    queued: ['contact.queued', 'You\'re offline – your message will be sent when you\'re back online.'],
+    error: ['contact.failure', 'We couldn\'t send your message. Please try again.'],
+  };
+
+  function getState() {
+    return state;
+  }
+
+  function renderStatus() {
+    if (statusEl) {
+      const message = stateMessage || stateMessages[state];
+      statusEl.hidden = !message;
+      statusEl.textContent = message ? translate(message[0], message[1], stateParams) : '';
+      statusEl.classList.toggle('contact-status-error', state === 'error' || state === 'blocked');
+      statusEl.classList.toggle('contact-status-success', state === 'sent' || state === 'mailto');
+    }
+
+    // After a failure the button offers a retry
+    const label = submitBtn && submitBtn.querySelector('[data-i18n]');
+    if (label) {
+      const [key, fallback] = state === 'error' ? ['contact.retry', 'Try again'] : ['contact.submit', 'Send'];
+      label.setAttribute('data-i18n', key);
+      label.textContent = translate(key, fallback);
+    }
+  }
+
+  function setState(next, params, message) {
+    state = next;
+    stateParams = params || null;
+    stateMessage = message || null;
+    form.setAttribute('data-contact-state', next);
+
+    const busy = next === 'sending' || next === 'retrying';
+    if (submitBtn) {
+      submitBtn.disabled = busy;
+      submitBtn.setAttribute('aria-busy', busy ? 'true' : 'false');
+    }
+    form.setAttribute('aria-busy', busy ? 'true' : 'false');
+
+    renderStatus();
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function send(transport, message, attempt = 1) {
+    return transport.send(message).catch(error => {
+      if (!error || !error.retryable || attempt >= config.retry.attempts) throw error;
+      // No point hammering a dead connection – the outbox takes it from here
+      if (isOffline(error) && canQueue(transport)) throw error;
+
+      console.warn(`Contact attempt ${attempt} failed, retrying:`, error);
+      setState('retrying', { attempt: attempt + 1, attempts: config.retry.attempts });
+      return wait(config.retry.delay * attempt).then(() => send(transport, message, attempt + 1));
+    });
+  }
+
+  function submit() {
+    if (!form || state === 'sending' || state === 'retrying') return Promise.resolve(null);
+    if (!validate()) return Promise.resolve(null);
+
+    const transportName = getTransportName();
+    if (!transportName) {
+      console.error('Contact form is not configured: set data-contact-endpoint or data-contact-transport on #contactForm');
+      setState('error', null, ['contact.unconfigured', 'Messages can\'t be sent from this form yet. Please reach us by email or phone.']);
+      return Promise.resolve(null);
+    }
+
+    const transport = transports[transportName];
+    if (!transport) {
+      console.error(`Unknown contact transport "${transportName}"`);
+      setState('error');
+      return Promise.resolve(null);
+    }
+
+    // One key per message, kept until it is delivered, so a repeat
+    // submission (or an outbox resend) is recognised by the backend
+    if (!messageKey) messageKey = window.ThemeOutbox ? window.ThemeOutbox.createKey('contact') : null;
+
+    const message = getMessage();
+    if (messageKey) message.idempotencyKey = messageKey;
+    setState('sending');
+
+    return checkSpam()
+      .then(check => {
+        if (!check.ok) {
+          block(check);
+          return null;
+        }
+
+        if (check.token) message.challenge = check.token;
+        document.dispatchEvent(new CustomEvent('contact:submit', { detail: { message } }));
+        publish('form_submit', { form: 'contact', country: message.country });
+
+        if (canQueue(transport) && !window.ThemeOutbox.isOnline()) return queue(message);
+
+        return send(transport, message)
+          .then(result => {
+            setState(result && result.mailto ? 'mailto' : 'sent');
+            clearForm();
+            document.dispatchEvent(new CustomEvent('contact:success', { detail: { message, result } }));
+            return result || {};
+          })
+          .catch(error => {
+            if (isOffline(error) && canQueue(transport)) return queue(message);
+
+            console.error('Contact message failed:', error);
+            setState('error');
+            document.dispatchEvent(new CustomEvent('contact:error', { detail: { message, error } }));
+            return null;
+          });
+      });
+  }
+
+  function checkSpam() {
+    return guard ? guard.check() : Promise.resolve({ ok: true, token: null });
+  }
+
+  // A honeypot hit is reported as an ordinary failure, like in checkout
+  function block(check) {
+    if (check.reason === 'honeypot') {
+      console.warn('Contact message blocked by spam guard');
+      setState('error');
+      return;
+    }
+
+    setState('blocked', check.params, window.ThemeSpamGuard.getMessage(check));
+  }
+
+  function clearForm() {
+    form.reset();
+    messageKey = null;
+    if (guard) guard.reset();
+    if (drafts) drafts.clear();
+  }
+
+  /* ================= OUTBOX ================= */
+  function canQueue(transport) {
+    return Boolean(window.ThemeOutbox) && transport.queueable !== false;
+  }
+
+  function isOffline(error) {
+    return Boolean(window.ThemeOutbox) && window.ThemeOutbox.isOfflineError(error);
+  }
+
+  // The message is safe in the outbox, so the form is free again
+  function queue(message) {
+    window.ThemeOutbox.enqueue('contact', message, message.idempotencyKey);
+    setState('queued');
+    clearForm();
+    return { queued: true };
+  }
+
+  // Queued messages go out through whichever transport is configured now
+  function initOutbox() {
+    const outbox = window.ThemeOutbox;
+    if (!outbox) return;
+
+    outbox.registerHandler('contact', message => {
+      const transport = transports[getTransportName()];
+      if (!transport) return Promise.reject(new Error(`Unknown contact transport "${getTransportName()}"`));
+      return transport.send(message);
+    });
+
+    document.addEventListener('outbox:sent', (e) => {
+      if (e.detail.type !== 'contact') return;
+      if (state === 'queued') setState('sent');
+      document.dispatchEvent(new CustomEvent('contact:success', {
+        detail: { message: e.detail.payload, result: e.detail.result },
+      }));
+    });
+
+    document.addEventListener('outbox:failed', (e) => {
+      if (e.detail.type !== 'contact') return;
+      if (state === 'queued') setState('error');
+      document.dispatchEvent(new CustomEvent('contact:error', {
+        detail: { message: e.detail.payload, error: e.detail.error },
+      }));
+    });
+  }
+
+  /* ================= INIT ================= */
+  function init() {
+    form = document.getElementById('contactForm');
+    if (!form) return;
+
+    submitBtn = form.querySelector('.contact-submit-btn');
+    statusEl = form.querySelector('.contact-status');
+    if (window.ThemeSpamGuard) guard = window.ThemeSpamGuard.protect(form, { id: 'contact' });
+    if (window.ThemeDrafts) {
+      drafts = window.ThemeDrafts.track(form, {
+        id: 'contact',
+        fields: ['name', 'email', 'country-code', 'phone', 'message'],
+        group: '.form-group',
+      });
+    }
+    setState('idle');
+    initOutbox();
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit();
+    });
+
+    // Re-check a field once it has been flagged, so the error clears as they type
+    form.addEventListener('input', (e) => {
+      const field = e.target.closest('.form-input');
+      if (field && field.getAttribute('aria-invalid') === 'true') {
+        showFieldError(field, validateField(field.name, field.value.trim()));
+      }
+      // A queued message keeps its notice until the outbox reports back
+      if (['sending', 'retrying', 'queued', 'idle'].indexOf(state) === -1) setState('idle');
+    });
+
+    // The same digits can be valid for one country and not another
+    const select = form.querySelector('.country-select');
+    if (select) {
+      select.addEventListener('change', () => {
+        const phone = getField('phone');
+        if (phone && phone.value.trim()) {
+          showFieldError(phone, validateField('phone', phone.value.trim()));
+        }
+      });
+    }
+
+    document.addEventListener('i18n:change', () => {
+      renderStatus();
+      renderErrors();
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeContact = {
+    registerTransport,
+    createFetchTransport,
+    createMailtoTransport,
+    createMockTransport,
+    normalizePhone,
+    validate,
+    getMessage,
+    submit,
+    getState,
+  };
+})();
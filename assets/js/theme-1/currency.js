@@ -0,0 +1,178 @@
+/**
+ * Theme Currency – Visitor Currency & Price Table
+ * One persisted currency shared by every price on the page
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    file: 'assets/data/theme-1/pricing.json',
+    currencies: ['EGP', 'SAR', 'AED', 'USD'],
+    defaultCurrency: 'EGP',
+    storageKey: 'selectedCurrency',
+  };
+
+  const root = document.documentElement;
+  let table = null;
+  let loading = null;
+  let currentCurrency = config.defaultCurrency;
+
+  /* ================= LOAD ================= */
+  // pricing.json: { base, rates: { SAR: 0.077 }, plans: { basic: { monthly: { SAR: 19 } } } }
+  function load() {
+    if (table) return Promise.resolve(table);
+    if (loading) return loading;
+
+    loading = fetch(config.file)
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load prices (${res.status})`);
+        return res.json();
+      })
+      .then(data => {
+        table = {
+          base: data.base || config.defaultCurrency,
+          rates: data.rates || {},
+          plans: data.plans || {},
+        };
+        return table;
+      })
+      .catch(error => {
+        loading = null;
+        throw error;
+      });
+
+    return loading;
+  }
+
+  /* ================= PRICES ================= */
+  function getBase() {
+    return table ? table.base : config.defaultCurrency;
+  }
+
+  // A currency is usable once the table can price it
+  function isSupported(code) {
+    if (config.currencies.indexOf(code) === -1) return false;
+    if (code === getBase()) return true;
+    return Boolean(table && table.rates[code]);
+  }
+
+  function getCurrencies() {
+    return config.currencies.filter(isSupported);
+  }
+
+  function convert(amount, currency) {
+    const code = currency || currentCurrency;
+    if (code === getBase()) return Number(amount);
+
+    const rate = table && table.rates[code];
+    if (!rate) return Number(amount);
+
+    return Math.round(Number(amount) * rate);
+  }
+
+  // Amount in the active currency: the plan's own price when the table lists
+  // one (so prices stay round), otherwise the base amount converted by rate
+  function getPrice(baseAmount, plan, period, currency) {
+    const code = currency || currentCurrency;
+    const planPrices = table && plan ? table.plans[plan] : null;
+    const periodPrices = planPrices && period ? planPrices[period] : null;
+
+    if (periodPrices && periodPrices[code] != null) return Number(periodPrices[code]);
+    return convert(baseAmount, code);
+  }
+
+  /* ================= RENDER ================= */
+  // <span data-price="799" data-format="currency"> – data-price is the base
+  // amount; the plan comes from the nearest data-plan, the period from
+  // data-period. The converted amount goes to data-value for ThemeI18n.
+  function render(scope) {
+    const base = scope || document;
+    const elements = Array.from(base.querySelectorAll('[data-price]'));
+    if (base.nodeType === 1 && base.hasAttribute('data-price')) elements.unshift(base);
+
+    elements.forEach(el => {
+      const planEl = el.closest('[data-plan]');
+      const value = getPrice(
+        el.getAttribute('data-price'),
+        planEl ? planEl.getAttribute('data-plan') : null,
+        el.getAttribute('data-period')
+      );
+      el.setAttribute('data-value', value);
+    });
+
+    if (window.ThemeI18n) {
+      window.ThemeI18n.formatElements(base);
+    } else {
+      elements.forEach(el => {
+        el.textContent = el.getAttribute('data-value');
+      });
+    }
+  }
+
+  /* ================= CURRENCY ================= */
+  function getCurrency() {
+    return currentCurrency;
+  }
+
+  function applyCurrency(code) {
+    currentCurrency = code;
+    root.setAttribute('data-currency', code);
+    render(document);
+  }
+
+  function setCurrency(code) {
+    return load().then(() => {
+      if (!isSupported(code)) throw new Error(`Unsupported currency "${code}"`);
+
+      const previous = currentCurrency;
+      applyCurrency(code);
+      localStorage.setItem(config.storageKey, code);
+
+      document.dispatchEvent(new CustomEvent('currency:change', {
+        detail: { currency: code, previous },
+      }));
+
+      return code;
+    });
+  }
+
+  // Prices render in the base currency until the table is in; a stored
+  // choice is applied only once it can actually be priced.
+  function init() {
+    const stored = localStorage.getItem(config.storageKey);
+
+    load()
+      .then(() => {
+        const previous = currentCurrency;
+        const code = stored && isSupported(stored) ? stored : getBase();
+        applyCurrency(code);
+
+        if (code !== previous) {
+          document.dispatchEvent(new CustomEvent('currency:change', {
+            detail: { currency: code, previous },
+          }));
+        }
+      })
+      .catch(error => {
+        console.warn('Prices unavailable, showing base currency:', error);
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeCurrency = {
+    load,
+    getCurrencies,
+    isSupported,
+    getCurrency,
+    setCurrency,
+    convert,
+    getPrice,
+    render,
+  };
+})();
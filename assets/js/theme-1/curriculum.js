@@ -0,0 +1,280 @@
+/**
+ * Theme Curriculum – Course Modules & Lessons
+ * Renders the course content section from a JSON curriculum and pages in
+ * further modules with "Show More"
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    file: 'assets/data/theme-1/curriculum.json',
+    // Modules per page when the file doesn't set pageSize
+    pageSize: 3,
+    // Cards get id="module-<id>" so #module-<id> links to them
+    idPrefix: 'module-',
+  };
+
+  let curriculum = null;
+  let loading = null;
+  let shown = 0;
+  let listEl = null;
+  let showMoreBtn = null;
+
+  function translate(key, fallback) {
+    return window.ThemeI18n ? window.ThemeI18n.t(key, null, fallback) : fallback;
+  }
+
+  /* ================= LOAD ================= */
+  // curriculum.json: { pageSize, modules: [{ id, badge, title, lessons: [{ id,
+  // title, duration (minutes), type: "video" | "reading" | "exercise" | "quiz",
+  // free }] }] } – badge and titles are keys into the i18n tables.
+  function load() {
+    if (curriculum) return Promise.resolve(curriculum);
+    if (loading) return loading;
+
+    loading = fetch(config.file)
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load curriculum (${res.status})`);
+        return res.json();
+      })
+      .then(data => {
+        curriculum = {
+          pageSize: data.pageSize || config.pageSize,
+          modules: data.modules || [],
+        };
+        return curriculum;
+      })
+      .catch(error => {
+        loading = null;
+        throw error;
+      });
+
+    return loading;
+  }
+
+  /* ================= TOTALS ================= */
+  function getModules() {
+    return curriculum ? curriculum.modules : [];
+  }
+
+  function getModuleDuration(module) {
+    return module.lessons.reduce((sum, lesson) => sum + (Number(lesson.duration) || 0), 0);
+  }
+
+  // { modules, lessons, minutes, freeLessons } for the whole course
+  function getTotals() {
+    const modules = getModules();
+    const lessons = modules.reduce((all, module) => all.concat(module.lessons), []);
+
+    return {
+      modules: modules.length,
+      lessons: lessons.length,
+      minutes: modules.reduce((sum, module) => sum + getModuleDuration(module), 0),
+      freeLessons: lessons.filter(lesson => lesson.free).length,
+    };
+  }
+
+  /* ================= RENDER ================= */
+  function createText(tag, className, key, fallback) {
+    const el = document.createElement(tag);
+    el.className = className;
+    if (key) {
+      el.setAttribute('data-i18n', key);
+      el.textContent = translate(key, fallback || '');
+    }
+    return el;
+  }
+
+  function createDuration(className, minutes) {
+    const el = document.createElement('span');
+    el.className = className;
+    el.setAttribute('data-format', 'duration');
+    el.setAttribute('data-value', minutes);
+    el.textContent = minutes;
+    return el;
+  }
+
+  function renderLesson(lesson) {
+    const item = document.createElement('li');
+    item.className = 'module-lesson';
+    item.setAttribute('data-lesson', lesson.id);
+    item.setAttribute('data-type', lesson.type);
+    if (lesson.free) item.setAttribute('data-free', '');
+
+    const meta = document.createElement('span');
+    meta.className = 'lesson-meta';
+    meta.appendChild(createText('span', 'lesson-type', `course.lessonTypes.${lesson.type}`, lesson.type));
+    if (lesson.free) {
+      meta.appendChild(createText('span', 'lesson-free', 'course.freePreview', 'Free preview'));
+    }
+    meta.appendChild(createDuration('lesson-duration', lesson.duration));
+
+    item.appendChild(createText('span', 'lesson-title', lesson.title));
+    item.appendChild(meta);
+    return item;
+  }
+
+  // Same structure as the pre-rendered cards, so styling and the toggle
+  // handling in theme-1.js apply unchanged
+  function renderModule(module, open) {
+    const card = document.createElement('div');
+    card.className = open ? 'module-card active' : 'module-card';
+    card.id = `${config.idPrefix}${module.id}`;
+    card.setAttribute('data-module', module.id);
+
+    const header = document.createElement('div');
+    header.className = 'module-header';
+
+    const toggle = document.createElement('button');
+    toggle.className = 'module-toggle';
+    // Named by the module's title
+    toggle.setAttribute('aria-labelledby', `${card.id}-title`);
+    const icon = document.createElement('span');
+    icon.className = 'toggle-icon';
+    icon.textContent = open ? '−' : '+';
+    toggle.appendChild(icon);
+
+    header.appendChild(toggle);
+    header.appendChild(createText('div', 'module-badge', module.badge));
+    header.appendChild(createDuration('module-duration', getModuleDuration(module)));
+
+    const content = document.createElement('div');
+    content.className = 'module-content';
+    const list = document.createElement('ul');
+    list.className = 'module-list';
+    module.lessons.forEach(lesson => list.appendChild(renderLesson(lesson)));
+    content.appendChild(list);
+
+    const title = createText('h3', 'module-title', module.title);
+    title.id = `${card.id}-title`;
+
+    card.appendChild(header);
+    card.appendChild(title);
+    card.appendChild(content);
+    return card;
+  }
+
+  function format(scope) {
+    if (window.ThemeI18n) window.ThemeI18n.formatElements(scope);
+  }
+
+  function renderTotals() {
+    const totals = getTotals();
+    const values = { modules: totals.modules, lessons: totals.lessons, duration: totals.minutes };
+
+    document.querySelectorAll('.course-stats [data-stat]').forEach(el => {
+      const value = values[el.getAttribute('data-stat')];
+      if (value === undefined) return;
+      el.setAttribute('data-value', value);
+      if (!window.ThemeI18n) el.textContent = value;
+    });
+
+    document.querySelectorAll('.course-stats').forEach(format);
+  }
+
+  function renderShowMore() {
+    if (showMoreBtn) showMoreBtn.hidden = shown >= getModules().length;
+  }
+
+  // Appends the next page of modules; returns the cards that were added
+  function showMore() {
+    if (!listEl || !curriculum) return [];
+
+    const next = getModules().slice(shown, shown + curriculum.pageSize);
+    const cards = next.map(module => renderModule(module, false));
+    cards.forEach(card => listEl.appendChild(card));
+    shown += next.length;
+
+    format(listEl);
+    renderShowMore();
+
+    if (cards.length) {
+      document.dispatchEvent(new CustomEvent('curriculum:render', {
+        detail: { modules: next, cards },
+      }));
+    }
+    return cards;
+  }
+
+  // Pages in modules until the one with this id is on the page; false when
+  // the curriculum has no such module
+  function reveal(moduleId) {
+    const index = getModules().findIndex(module => module.id === moduleId);
+    if (index === -1) return false;
+
+    let added = true;
+    while (shown <= index && added) added = showMore().length > 0;
+    return true;
+  }
+
+  function revealFromHash() {
+    const hash = window.location.hash.slice(1);
+    if (hash.indexOf(config.idPrefix) === 0) reveal(hash.slice(config.idPrefix.length));
+  }
+
+  // Replaces the pre-rendered cards with the first page from the file
+  function render() {
+    if (!listEl || !curriculum) return;
+
+    listEl.innerHTML = '';
+    shown = 0;
+
+    const first = getModules().slice(0, curriculum.pageSize);
+    const cards = first.map((module, index) => renderModule(module, index === 0));
+    cards.forEach(card => listEl.appendChild(card));
+    shown = first.length;
+
+    format(listEl);
+    renderTotals();
+    renderShowMore();
+
+    document.dispatchEvent(new CustomEvent('curriculum:render', {
+      detail: { modules: first, cards },
+    }));
+
+    // A link to a module further down the list pages it in
+    revealFromHash();
+  }
+
+  /* ================= INIT ================= */
+  // The pre-rendered modules stay in place if the file can't be fetched
+  // (e.g. when the page is opened from file://)
+  function init() {
+    listEl = document.querySelector('.course-modules');
+    if (!listEl) return;
+
+    showMoreBtn = document.querySelector('.show-more-btn');
+    if (showMoreBtn) {
+      showMoreBtn.addEventListener('click', () => {
+        const cards = showMore();
+        // Keep keyboard users where the new content starts
+        const toggle = cards.length ? cards[0].querySelector('.module-toggle') : null;
+        if (toggle) toggle.focus();
+      });
+    }
+
+    window.addEventListener('hashchange', revealFromHash);
+
+    load()
+      .then(render)
+      .catch(error => {
+        console.warn('Curriculum unavailable, keeping the static modules:', error);
+        if (showMoreBtn) showMoreBtn.hidden = true;
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeCurriculum = {
+    load,
+    getModules,
+    getTotals,
+    showMore,
+    reveal,
+  };
+})();
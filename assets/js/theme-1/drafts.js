@@ -0,0 +1,235 @@
+/**
+ * Theme Drafts – In-Progress Form Values
+ * Typed values are saved per form and page, offered back after a reload and
+ * cleared once the form is sent; payment details are never written
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    storagePrefix: 'formDraft:',
+    // Drafts older than this are dropped instead of offered back (ms)
+    ttl: 24 * 60 * 60 * 1000,
+    saveDelay: 500,
+  };
+
+  // Never stored, even if a form lists them
+  const sensitive = /^(cc-|one-time-code|current-password|new-password)/;
+
+  function translate(key, fallback, params) {
+    if (window.ThemeI18n) return window.ThemeI18n.t(key, params, fallback);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? params[name] : match
+    ));
+  }
+
+  /* ================= STORAGE ================= */
+  // Locale variants of a page (index.html / index-en.html) share their
+  // drafts, so a full-page language switch finds them too.
+  function getPageScope() {
+    const path = window.location.pathname;
+    const i18n = window.ThemeI18n;
+    if (!i18n) return path;
+
+    const pages = i18n.getLocales()
+      .map(locale => i18n.getLocalePage(locale.code))
+      .filter(Boolean)
+      .map(page => new URL(page, window.location.href).pathname);
+
+    return pages.indexOf(path) !== -1 ? pages[0] : path;
+  }
+
+  function getStorageKey(id) {
+    return `${config.storagePrefix}${getPageScope()}:${id}`;
+  }
+
+  // { values: { name: "…" }, savedAt } or null when missing/expired
+  function read(id, ttl) {
+    const key = getStorageKey(id);
+
+    try {
+      const draft = JSON.parse(localStorage.getItem(key));
+      if (!draft || !draft.values) return null;
+
+      if (Date.now() - draft.savedAt > ttl) {
+        localStorage.removeItem(key);
+        return null;
+      }
+      return draft;
+    } catch (error) {
+      localStorage.removeItem(key);
+      return null;
+    }
+  }
+
+  function write(id, values) {
+    try {
+      localStorage.setItem(getStorageKey(id), JSON.stringify({ values, savedAt: Date.now() }));
+    } catch (error) {
+      console.warn(`Could not save the "${id}" draft:`, error);
+    }
+  }
+
+  function remove(id) {
+    localStorage.removeItem(getStorageKey(id));
+  }
+
+  /* ================= FIELDS ================= */
+  function isStorable(field) {
+    if (field.type === 'password' || field.type === 'hidden' || field.type === 'file') return false;
+    if (sensitive.test(field.getAttribute('autocomplete') || '')) return false;
+    return !field.hasAttribute('data-payment-field') && !field.hasAttribute('data-draft-ignore');
+  }
+
+  /* ================= PROMPT ================= */
+  function createPrompt(onRestore, onDiscard) {
+    const prompt = document.createElement('div');
+    prompt.className = 'form-draft';
+    prompt.setAttribute('role', 'status');
+
+    const text = document.createElement('p');
+    text.className = 'form-draft-text';
+
+    const actions = document.createElement('div');
+    actions.className = 'form-draft-actions';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'form-draft-btn form-draft-restore';
+    restoreBtn.addEventListener('click', onRestore);
+
+    const discardBtn = document.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.className = 'form-draft-btn form-draft-discard';
+    discardBtn.addEventListener('click', onDiscard);
+
+    actions.appendChild(restoreBtn);
+    actions.appendChild(discardBtn);
+    prompt.appendChild(text);
+    prompt.appendChild(actions);
+    return prompt;
+  }
+
+  function renderPrompt(prompt) {
+    prompt.querySelector('.form-draft-text').textContent = translate('drafts.prompt', 'You have an unsent draft from your last visit.');
+    prompt.querySelector('.form-draft-restore').textContent = translate('drafts.restore', 'Restore');
+    prompt.querySelector('.form-draft-discard').textContent = translate('drafts.discard', 'Discard');
+  }
+
+  /* ================= TRACK ================= */
+  // track(scope, { id, fields: ["name", …], group, ttl }) -> { save, clear }
+  //   fields  names to keep – an allow-list, so new inputs (card numbers,
+  //           codes) stay out of storage unless they are added on purpose
+  //   group   selector of a field's wrapper; the restore prompt goes before
+  //           the first tracked field's group
+  function track(scope, options = {}) {
+    const id = options.id || scope.id;
+    const ttl = options.ttl || config.ttl;
+    let saveTimer = null;
+    let prompt = null;
+
+    function getFields() {
+      return (options.fields || [])
+        .map(name => scope.querySelector(`[name="${name}"]`))
+        .filter(field => field && isStorable(field));
+    }
+
+    function getValues() {
+      const values = {};
+      getFields().forEach(field => {
+        values[field.name] = field.value;
+      });
+      return values;
+    }
+
+    // A select always has a value, so only typed fields count as content
+    function hasContent(values) {
+      return getFields().some(field => field.tagName !== 'SELECT' && String(values[field.name] || '').trim());
+    }
+
+    function save() {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      // Hold off while the visitor hasn't answered the restore prompt
+      if (prompt) return;
+
+      const values = getValues();
+      if (hasContent(values)) {
+        write(id, values);
+      } else {
+        remove(id);
+      }
+    }
+
+    function scheduleSave() {
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(save, config.saveDelay);
+    }
+
+    function closePrompt() {
+      if (!prompt) return;
+      prompt.remove();
+      prompt = null;
+    }
+
+    function restore(values) {
+      getFields().forEach(field => {
+        if (values[field.name] !== undefined) field.value = values[field.name];
+      });
+      closePrompt();
+      save();
+      document.dispatchEvent(new CustomEvent('drafts:restore', { detail: { id, values } }));
+    }
+
+    function clear() {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      closePrompt();
+      remove(id);
+    }
+
+    function offer(draft) {
+      const current = getValues();
+      const same = Object.keys(draft.values).every(name => draft.values[name] === current[name]);
+      if (same) return;
+
+      prompt = createPrompt(() => restore(draft.values), clear);
+      renderPrompt(prompt);
+
+      const first = getFields()[0];
+      const anchor = first && options.group ? first.closest(options.group) : null;
+      if (anchor) {
+        anchor.parentNode.insertBefore(prompt, anchor);
+      } else {
+        scope.insertBefore(prompt, scope.firstChild);
+      }
+    }
+
+    const draft = read(id, ttl);
+    if (draft) offer(draft);
+
+    scope.addEventListener('input', (e) => {
+      if (getFields().indexOf(e.target) !== -1) scheduleSave();
+    });
+    scope.addEventListener('change', (e) => {
+      if (getFields().indexOf(e.target) !== -1) scheduleSave();
+    });
+
+    // Anything still waiting goes out before the page does
+    window.addEventListener('pagehide', () => {
+      if (saveTimer) save();
+    });
+
+    document.addEventListener('i18n:change', () => {
+      if (prompt) renderPrompt(prompt);
+    });
+
+    return { save, clear };
+  }
+
+  window.ThemeDrafts = {
+    track,
+  };
+})();
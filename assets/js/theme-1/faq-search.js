@@ -0,0 +1,342 @@
+/**
+ * Theme FAQ Search – Filter, Highlight & Topics
+ * Filters the FAQ as you type and highlights the matches; Arabic text matches
+ * regardless of diacritics, alef variants and taa marbuta
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    list: '.faq-items',
+    item: '.faq-item',
+    input: '.faq-search-input',
+    categories: '.faq-categories',
+    status: '.faq-search-status',
+    empty: '.faq-empty',
+    // Text that is searched and highlighted in each item
+    fields: ['.faq-question-text', '.faq-answer p'],
+    contactForm: '#contactForm',
+    contactMessage: '[name="message"]',
+    highlightClass: 'faq-highlight',
+  };
+
+  let listEl = null;
+  let inputEl = null;
+  let categoriesEl = null;
+  let statusEl = null;
+  let emptyEl = null;
+  let query = '';
+  let category = 'all';
+  // What the empty state last wrote into the contact message
+  let prefilled = '';
+
+  function translate(key, fallback, params) {
+    if (window.ThemeI18n) return window.ThemeI18n.t(key, params, fallback);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? params[name] : match
+    ));
+  }
+
+  function formatNumber(value) {
+    return window.ThemeI18n ? window.ThemeI18n.formatNumber(value) : String(value);
+  }
+
+  /* ================= NORMALIZE ================= */
+  // Tashkeel, Quranic annotation marks and tatweel
+  const arabicMarks = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+  // Latin accents left over after NFD (é -> e)
+  const latinMarks = /[\u0300-\u036f]/g;
+  // Alef with hamza / madda / wasla -> bare alef, taa marbuta -> haa
+  const letters = {
+    '\u0623': '\u0627',
+    '\u0625': '\u0627',
+    '\u0622': '\u0627',
+    '\u0671': '\u0627',
+    '\u0629': '\u0647',
+  };
+
+  function normalizeChar(char) {
+    return (letters[char] || char)
+      .normalize('NFD')
+      .replace(latinMarks, '')
+      .replace(arabicMarks, '')
+      .toLowerCase();
+  }
+
+  // The normalized text, plus the index of the original character each
+  // normalized one came from – used to put highlights back on the original
+  function normalizeWithMap(text) {
+    let value = '';
+    const map = [];
+
+    for (let i = 0; i < text.length; i += 1) {
+      const normalized = normalizeChar(text[i]);
+      for (let j = 0; j < normalized.length; j += 1) {
+        value += normalized[j];
+        map.push(i);
+      }
+    }
+
+    return { value, map };
+  }
+
+  function normalize(text) {
+    return normalizeWithMap(String(text || '')).value;
+  }
+
+  function getTerms(text) {
+    return normalize(text).split(/\s+/).filter(Boolean);
+  }
+
+  /* ================= HIGHLIGHT ================= */
+  // [[start, end], …] in the original text, sorted and merged
+  function findRanges(text, terms) {
+    const { value, map } = normalizeWithMap(text);
+    const ranges = [];
+
+    terms.forEach(term => {
+      let from = value.indexOf(term);
+      while (from !== -1) {
+        let end = map[from + term.length - 1] + 1;
+        // Marks on the last letter belong to the match too
+        while (end < text.length && !normalizeChar(text[end])) end += 1;
+        ranges.push([map[from], end]);
+        from = value.indexOf(term, from + term.length);
+      }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range.slice());
+      }
+      return merged;
+    }, []);
+  }
+
+  function clearHighlights(el) {
+    el.querySelectorAll(`mark.${config.highlightClass}`).forEach(mark => {
+      mark.replaceWith(document.createTextNode(mark.textContent));
+    });
+    el.normalize();
+  }
+
+  function highlight(el, terms) {
+    clearHighlights(el);
+    if (!terms.length) return;
+
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    nodes.forEach(node => {
+      const text = node.nodeValue;
+      const ranges = findRanges(text, terms);
+      if (!ranges.length) return;
+
+      const fragment = document.createDocumentFragment();
+      let last = 0;
+      ranges.forEach(([start, end]) => {
+        fragment.appendChild(document.createTextNode(text.slice(last, start)));
+        const mark = document.createElement('mark');
+        mark.className = config.highlightClass;
+        mark.textContent = text.slice(start, end);
+        fragment.appendChild(mark);
+        last = end;
+      });
+      fragment.appendChild(document.createTextNode(text.slice(last)));
+      node.replaceWith(fragment);
+    });
+  }
+
+  /* ================= FILTER ================= */
+  function getItems() {
+    return listEl ? Array.from(listEl.querySelectorAll(config.item)) : [];
+  }
+
+  function getFields(item) {
+    return config.fields.reduce((all, selector) => all.concat(Array.from(item.querySelectorAll(selector))), []);
+  }
+
+  // data-category may list several topics, space separated
+  function getCategories(item) {
+    return (item.getAttribute('data-category') || '').split(/\s+/).filter(Boolean);
+  }
+
+  function matches(item, terms) {
+    if (category !== 'all' && getCategories(item).indexOf(category) === -1) return false;
+
+    const text = normalize(getFields(item).map(el => el.textContent).join(' '));
+    return terms.every(term => text.indexOf(term) !== -1);
+  }
+
+  function renderStatus(visible, total) {
+    if (!statusEl) return;
+
+    const filtering = Boolean(query.trim()) || category !== 'all';
+    statusEl.textContent = filtering && visible
+      ? translate('faq.search.results', 'Showing {count} of {total} questions', {
+        count: formatNumber(visible),
+        total: formatNumber(total),
+      })
+      : '';
+  }
+
+  function renderEmpty(visible) {
+    if (!emptyEl) return;
+
+    emptyEl.hidden = visible > 0;
+    const text = emptyEl.querySelector('.faq-empty-text');
+    if (text) {
+      text.textContent = translate('faq.search.empty', 'No questions match “{query}”.', { query: query.trim() });
+    }
+  }
+
+  function update() {
+    const terms = getTerms(query);
+    const items = getItems();
+    let visible = 0;
+
+    items.forEach(item => {
+      const match = matches(item, terms);
+      item.hidden = !match;
+      getFields(item).forEach(el => highlight(el, match ? terms : []));
+      if (match) visible += 1;
+    });
+
+    renderStatus(visible, items.length);
+    renderEmpty(visible);
+
+    document.dispatchEvent(new CustomEvent('faq:search', {
+      detail: { query, category, visible, total: items.length },
+    }));
+  }
+
+  function search(value) {
+    query = String(value || '');
+    if (inputEl && inputEl.value !== query) inputEl.value = query;
+    update();
+  }
+
+  /* ================= CATEGORIES ================= */
+  function setCategory(name) {
+    category = name || 'all';
+    if (categoriesEl) {
+      categoriesEl.querySelectorAll('[data-faq-category]').forEach(chip => {
+        chip.setAttribute('aria-pressed', chip.getAttribute('data-faq-category') === category ? 'true' : 'false');
+      });
+    }
+    update();
+  }
+
+  function createChip(name) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'faq-category';
+    chip.setAttribute('data-faq-category', name);
+    chip.setAttribute('aria-pressed', name === category ? 'true' : 'false');
+    chip.setAttribute('data-i18n', `faq.categories.${name}`);
+    chip.textContent = translate(`faq.categories.${name}`, name);
+    return chip;
+  }
+
+  // Chips only appear when the items are tagged with more than one topic
+  function renderCategories() {
+    if (!categoriesEl) return;
+
+    const names = [];
+    getItems().forEach(item => getCategories(item).forEach(name => {
+      if (names.indexOf(name) === -1) names.push(name);
+    }));
+
+    categoriesEl.innerHTML = '';
+    categoriesEl.hidden = names.length < 2;
+    if (categoriesEl.hidden) return;
+
+    ['all'].concat(names).forEach(name => categoriesEl.appendChild(createChip(name)));
+  }
+
+  /* ================= CONTACT ================= */
+  // Hands the unanswered question over to the contact form
+  function askQuestion() {
+    const form = document.querySelector(config.contactForm);
+    const message = form ? form.querySelector(config.contactMessage) : null;
+    if (!form) return;
+
+    const text = query.trim()
+      ? translate('faq.search.contactMessage', 'Hi, I couldn\'t find an answer in the FAQ about: {query}', { query: query.trim() })
+      : '';
+
+    // Don't overwrite something the visitor typed themselves
+    if (message && text && (!message.value.trim() || message.value === prefilled)) {
+      message.value = text;
+      prefilled = text;
+      message.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    if (message) message.focus({ preventScroll: true });
+  }
+
+  /* ================= INIT ================= */
+  function init() {
+    listEl = document.querySelector(config.list);
+    inputEl = document.querySelector(config.input);
+    if (!listEl || !inputEl) return;
+
+    categoriesEl = document.querySelector(config.categories);
+    statusEl = document.querySelector(config.status);
+    emptyEl = document.querySelector(config.empty);
+
+    renderCategories();
+
+    inputEl.addEventListener('input', () => search(inputEl.value));
+    // Escape clears the box like a native search field
+    inputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && inputEl.value) {
+        e.preventDefault();
+        search('');
+      }
+    });
+
+    if (categoriesEl) {
+      categoriesEl.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-faq-category]');
+        if (chip) setCategory(chip.getAttribute('data-faq-category'));
+      });
+    }
+
+    if (emptyEl) {
+      const link = emptyEl.querySelector('.faq-empty-link');
+      if (link) {
+        link.addEventListener('click', (e) => {
+          e.preventDefault();
+          askQuestion();
+        });
+      }
+    }
+
+    // A language switch rewrites the questions and answers (dropping the
+    // highlights) – filter the new text again
+    document.addEventListener('i18n:change', update);
+
+    update();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeFAQSearch = {
+    normalize,
+    search,
+    setCategory,
+  };
+})();
@@ -0,0 +1,309 @@
+/**
+ * Theme i18n – Runtime String Tables
+ * Swaps text, attributes and lang/dir in place – no page reload
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    path: 'assets/i18n/theme-1/',
+    defaultLocale: 'ar',
+    attributes: ['placeholder', 'aria-label', 'alt', 'title'],
+  };
+
+  const root = document.documentElement;
+  const tables = {};
+  const registry = {};
+  const formatters = {};
+  let currentLang = root.getAttribute('lang') || config.defaultLocale;
+
+  /* ================= LOCALE REGISTRY ================= */
+  // Each locale: code, display name, text direction, pre-rendered page (used
+  // when the in-place switch isn't possible), a string table file or inline
+  // bundle, and the Intl locale, digits and currency its numbers format with.
+  function registerLocale(code, options = {}) {
+    const locale = {
+      code,
+      name: code,
+      dir: 'ltr',
+      page: '',
+      file: `${config.path}${code}.json`,
+      strings: null,
+      intl: code,
+      numberingSystem: '',
+      currency: 'EGP',
+      ...options,
+    };
+
+    registry[code] = locale;
+    delete tables[code];
+    if (locale.strings) tables[code] = locale.strings;
+
+    return locale;
+  }
+
+  function getLocaleConfig(code) {
+    return registry[code || currentLang] || null;
+  }
+
+  function getLocales() {
+    return Object.keys(registry).map(code => registry[code]);
+  }
+
+  // Pre-rendered page for a locale: <link rel="alternate" hreflang> wins over
+  // the registry so pages can be moved without touching the script
+  function getLocalePage(code) {
+    const link = document.querySelector(`link[rel="alternate"][hreflang="${code}"]`);
+    if (link) return link.getAttribute('href');
+
+    const locale = registry[code];
+    return locale ? locale.page : '';
+  }
+
+  registerLocale('ar', { name: 'العربية', dir: 'rtl', page: 'index.html', intl: 'ar-EG', numberingSystem: 'arab' });
+  registerLocale('en', { name: 'English', dir: 'ltr', page: 'index-en.html', intl: 'en-US' });
+  registerLocale('fr', { name: 'Français', dir: 'ltr', intl: 'fr-FR' });
+  registerLocale('ur', { name: 'اردو', dir: 'rtl', intl: 'ur-PK' });
+
+  /* ================= LOAD ================= */
+  function load(lang) {
+    if (tables[lang]) return Promise.resolve(tables[lang]);
+
+    const locale = registry[lang];
+    if (!locale) return Promise.reject(new Error(`Unknown locale "${lang}"`));
+
+    return fetch(locale.file)
+      .then(res => {
+        if (!res.ok) throw new Error(`Could not load "${lang}" strings (${res.status})`);
+        return res.json();
+      })
+      .then(table => {
+        tables[lang] = table;
+        return table;
+      });
+  }
+
+  /* ================= LOOKUP ================= */
+  function lookup(table, key) {
+    if (!table || !key) return undefined;
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), table);
+  }
+
+  function t(key, params, fallback) {
+    let value = lookup(tables[currentLang], key);
+    if (typeof value !== 'string') {
+      value = fallback !== undefined ? fallback : key;
+    }
+
+    if (params) {
+      value = value.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? params[name] : match
+      ));
+    }
+
+    return value;
+  }
+
+  /* ================= APPLY ================= */
+  function apply(scope) {
+    const base = scope || document;
+    const table = tables[currentLang];
+
+    if (table) {
+      base.querySelectorAll('[data-i18n]').forEach(el => {
+        const value = lookup(table, el.getAttribute('data-i18n'));
+        if (typeof value === 'string') el.textContent = value;
+      });
+
+      // Only used for trusted strings from our own tables (inline <span>, <br>)
+      base.querySelectorAll('[data-i18n-html]').forEach(el => {
+        const value = lookup(table, el.getAttribute('data-i18n-html'));
+        if (typeof value === 'string') el.innerHTML = value;
+      });
+
+      config.attributes.forEach(attr => {
+        base.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => {
+          const value = lookup(table, el.getAttribute(`data-i18n-${attr}`));
+          if (typeof value === 'string') el.setAttribute(attr, value);
+        });
+      });
+    }
+
+    // Direction-specific images (arrows pointing "forward")
+    const dir = getDir();
+    base.querySelectorAll(`[data-src-${dir}]`).forEach(img => {
+      const src = img.getAttribute(`data-src-${dir}`);
+      if (img.getAttribute('src') !== src) img.setAttribute('src', src);
+    });
+
+    formatElements(base);
+  }
+
+  /* ================= NUMBERS ================= */
+  function getIntlOptions(options) {
+    const locale = getLocaleConfig() || { intl: currentLang };
+    const intlOptions = { ...options };
+    if (locale.numberingSystem && !intlOptions.numberingSystem) {
+      intlOptions.numberingSystem = locale.numberingSystem;
+    }
+    return { intl: locale.intl, options: intlOptions };
+  }
+
+  function getFormatter(options, type = 'number') {
+    const { intl, options: intlOptions } = getIntlOptions(options);
+    const cacheKey = `${type}|${intl}|${JSON.stringify(intlOptions)}`;
+
+    if (!formatters[cacheKey]) {
+      formatters[cacheKey] = type === 'date'
+        ? new Intl.DateTimeFormat(intl, intlOptions)
+        : new Intl.NumberFormat(intl, intlOptions);
+    }
+    return formatters[cacheKey];
+  }
+
+  function formatNumber(value, options = {}) {
+    return getFormatter(options).format(value);
+  }
+
+  function getCurrencyFormatter(currency, options) {
+    const locale = getLocaleConfig();
+    return getFormatter({
+      style: 'currency',
+      currency: currency || (locale ? locale.currency : 'EGP'),
+      maximumFractionDigits: 0,
+      ...options,
+    });
+  }
+
+  function formatCurrency(value, currency, options = {}) {
+    return getCurrencyFormatter(currency, options).format(value);
+  }
+
+  // Amount and symbol separately, for layouts that style them apart
+  // (pricing cards): { amount: '٩٩٠', label: 'ج.م.' }
+  function formatCurrencyParts(value, currency, options = {}) {
+    const parts = getCurrencyFormatter(currency, options).formatToParts(value);
+    const pick = types => parts
+      .filter(part => types.includes(part.type))
+      .map(part => part.value)
+      .join('');
+
+    return {
+      amount: pick(['minusSign', 'plusSign', 'integer', 'group', 'decimal', 'fraction']),
+      label: pick(['currency']),
+    };
+  }
+
+  function formatDate(value, options = {}) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date)) return String(value);
+    return getFormatter({ dateStyle: 'medium', ...options }, 'date').format(date);
+  }
+
+  // Minutes -> "1 hr 35 min" / "١ س ٣٥ د"
+  function formatDuration(minutes) {
+    const total = Math.max(0, Math.round(Number(minutes) || 0));
+    const hours = Math.floor(total / 60);
+    const mins = total % 60;
+    const unit = (value, name) => formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+
+    if (!hours) return unit(mins, 'minute');
+    if (!mins) return unit(hours, 'hour');
+    return `${unit(hours, 'hour')} ${unit(mins, 'minute')}`;
+  }
+
+  /* ================= FORMAT ELEMENTS ================= */
+  // <span data-format="currency" data-value="799"> – the value stays in
+  // data-value, the text is re-rendered for the active locale. A currency
+  // can be set per element or on any ancestor with data-currency.
+  const formats = {
+    number: value => formatNumber(Number(value)),
+    currency: (value, currency) => formatCurrency(Number(value), currency),
+    'currency-amount': (value, currency) => formatCurrencyParts(Number(value), currency).amount,
+    'currency-label': (value, currency) => formatCurrencyParts(Number(value) || 0, currency).label,
+    date: value => formatDate(value),
+    duration: value => formatDuration(value),
+  };
+
+  function formatElements(scope) {
+    const base = scope || document;
+    const elements = Array.from(base.querySelectorAll('[data-format]'));
+    if (base.nodeType === 1 && base.hasAttribute('data-format')) elements.unshift(base);
+
+    elements.forEach(el => {
+      const format = formats[el.getAttribute('data-format')];
+      if (!format) return;
+
+      const currencyEl = el.closest('[data-currency]');
+      const currency = currencyEl ? currencyEl.getAttribute('data-currency') : undefined;
+
+      try {
+        el.textContent = format(el.getAttribute('data-value'), currency);
+      } catch (error) {
+        console.warn('Could not format value:', error);
+      }
+    });
+  }
+
+  /* ================= LOCALE ================= */
+  function getLocale() {
+    return currentLang;
+  }
+
+  function getDir(lang) {
+    const locale = registry[lang || currentLang];
+    return locale ? locale.dir : (root.getAttribute('dir') || 'rtl');
+  }
+
+  function setLocale(lang) {
+    if (!registry[lang]) {
+      return Promise.reject(new Error(`Unknown locale "${lang}"`));
+    }
+
+    return load(lang).then(() => {
+      const previous = currentLang;
+      currentLang = lang;
+
+      root.setAttribute('lang', lang);
+      root.setAttribute('dir', getDir(lang));
+      apply(document);
+
+      document.dispatchEvent(new CustomEvent('i18n:change', {
+        detail: { lang, dir: getDir(lang), previous },
+      }));
+
+      return lang;
+    });
+  }
+
+  // The page ships pre-rendered in its own language; fetch that table up front
+  // so scripts can translate generated UI (labels, pagination) right away.
+  load(currentLang).catch(() => {});
+
+  // Pre-rendered prices are plain text; render them for the page locale
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => formatElements(document));
+  } else {
+    formatElements(document);
+  }
+
+  window.ThemeI18n = {
+    registerLocale,
+    getLocaleConfig,
+    getLocales,
+    getLocalePage,
+    load,
+    t,
+    apply,
+    formatNumber,
+    formatCurrency,
+    formatCurrencyParts,
+    formatDate,
+    formatDuration,
+    formatElements,
+    getLocale,
+    getDir,
+    setLocale,
+  };
+})();
@@ -0,0 +1,284 @@
+/**
+ * Theme Modal – Dialog Manager
+ * One owner for every modal on the page: stacking, scroll locking, focus
+ * trap and restore, Escape, the back button and open/close events
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    activeClass: 'active',
+    // Stacked modals sit above this, one level per modal
+    baseZIndex: 10000,
+  };
+
+  const focusable = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'video[controls]',
+    'iframe',
+    '[tabindex]:not([tabindex="-1"])',
+  ].join(',');
+
+  const modals = new WeakMap();
+  // Open modals, topmost last
+  const stack = [];
+  let idCounter = 0;
+  let scrollY = 0;
+  let lockedStyles = null;
+  // popstate events caused by our own history.back() calls
+  let ignorePops = 0;
+  // history.scrollRestoration from before the first modal entry
+  let savedRestoration = null;
+
+  /* ================= SCROLL LOCK ================= */
+  // overflow: hidden alone doesn't stop iOS Safari from scrolling the page
+  // underneath, so the body is pinned in place and put back afterwards
+  function lockScroll() {
+    if (lockedStyles) return;
+
+    const body = document.body;
+    const scrollbar = window.innerWidth - document.documentElement.clientWidth;
+    scrollY = window.scrollY || window.pageYOffset || 0;
+    lockedStyles = {
+      overflow: body.style.overflow,
+      position: body.style.position,
+      top: body.style.top,
+      width: body.style.width,
+      paddingRight: body.style.paddingRight,
+    };
+
+    body.style.overflow = 'hidden';
+    body.style.position = 'fixed';
+    body.style.top = `-${scrollY}px`;
+    body.style.width = '100%';
+    // Keep the layout from jumping where the scrollbar used to be
+    if (scrollbar > 0) body.style.paddingRight = `${scrollbar}px`;
+  }
+
+  function unlockScroll() {
+    if (!lockedStyles) return;
+
+    Object.assign(document.body.style, lockedStyles);
+    lockedStyles = null;
+    window.scrollTo(0, scrollY);
+  }
+
+  /* ================= FOCUS ================= */
+  function getFocusable(el) {
+    return Array.from(el.querySelectorAll(focusable))
+      .filter(node => !node.closest('[hidden], [inert]'));
+  }
+
+  function focusFirst(modal) {
+    const { initialFocus } = modal.settings;
+    let target = initialFocus;
+    if (typeof initialFocus === 'string') target = modal.el.querySelector(initialFocus);
+    if (typeof initialFocus === 'function') target = initialFocus();
+    const fallback = getFocusable(modal.el)[0] || modal.el;
+
+    if (target) target.focus();
+    if (target && document.activeElement === target) return;
+
+    if (fallback === modal.el && !fallback.hasAttribute('tabindex')) fallback.setAttribute('tabindex', '-1');
+    fallback.focus();
+  }
+
+  function trapFocus(e, modal) {
+    const items = getFocusable(modal.el);
+    if (!items.length) {
+      e.preventDefault();
+      return;
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+
+    if (!modal.el.contains(active)) {
+      e.preventDefault();
+      first.focus();
+    } else if (e.shiftKey && active === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /* ================= HISTORY ================= */
+  // Going back over a modal entry would otherwise let the browser restore the
+  // old scroll position – on top of wherever a link inside the modal
+  // (e.g. "go to checkout") just scrolled the page
+  function holdScrollRestoration() {
+    if (savedRestoration !== null || !('scrollRestoration' in history)) return;
+    savedRestoration = history.scrollRestoration;
+    history.scrollRestoration = 'manual';
+  }
+
+  function releaseScrollRestoration() {
+    if (savedRestoration === null || ignorePops || stack.some(modal => modal.pushed)) return;
+    history.scrollRestoration = savedRestoration;
+    savedRestoration = null;
+  }
+
+  /* ================= OPEN / CLOSE ================= */
+  function emit(type, modal) {
+    document.dispatchEvent(new CustomEvent(`modal:${type}`, {
+      detail: { id: modal.id, modal: modal.el, opener: modal.opener },
+    }));
+  }
+
+  function getTop() {
+    return stack[stack.length - 1] || null;
+  }
+
+  function open(modal, opener) {
+    if (stack.indexOf(modal) !== -1) return;
+
+    modal.opener = opener || document.activeElement;
+    stack.push(modal);
+
+    modal.el.style.zIndex = config.baseZIndex + stack.length;
+    modal.el.classList.add(config.activeClass);
+    modal.el.setAttribute('aria-hidden', 'false');
+    lockScroll();
+
+    // An entry of our own, so the back button closes the modal instead of
+    // leaving the page
+    if (modal.settings.history) {
+      holdScrollRestoration();
+      history.pushState({ ...(history.state || {}), modal: modal.id }, '');
+      modal.pushed = true;
+    }
+
+    focusFirst(modal);
+    if (modal.settings.onOpen) modal.settings.onOpen(modal.opener);
+    emit('open', modal);
+  }
+
+  function close(modal, fromHistory) {
+    const index = stack.indexOf(modal);
+    if (index === -1) return;
+
+    stack.splice(index, 1);
+    modal.el.classList.remove(config.activeClass);
+    modal.el.setAttribute('aria-hidden', 'true');
+    modal.el.style.zIndex = '';
+    if (!stack.length) unlockScroll();
+
+    if (modal.pushed) {
+      modal.pushed = false;
+      if (!fromHistory) {
+        ignorePops += 1;
+        history.back();
+      }
+      releaseScrollRestoration();
+    }
+
+    if (modal.settings.onClose) modal.settings.onClose();
+    emit('close', modal);
+
+    // Back to whatever opened it – or into the modal underneath
+    const opener = modal.opener;
+    modal.opener = null;
+    if (opener && typeof opener.focus === 'function' && document.contains(opener)) {
+      opener.focus();
+    } else if (getTop()) {
+      focusFirst(getTop());
+    }
+  }
+
+  /* ================= REGISTER ================= */
+  // register(el, { close, initialFocus, history, onOpen, onClose })
+  //   -> { id, el, open(opener), close(), isOpen() }
+  //   close         selector for the elements that close it (button, overlay)
+  //   initialFocus  selector, element or function returning one, focused on
+  //                 open (first focusable element otherwise)
+  //   history       back button closes the modal (default true)
+  //   onOpen(opener) / onClose()  run on every open/close, whatever caused it
+  function register(el, options = {}) {
+    if (modals.has(el)) return modals.get(el).controller;
+
+    const modal = {
+      id: el.id || `modal-${(idCounter += 1)}`,
+      el,
+      settings: { history: true, ...options },
+      opener: null,
+      pushed: false,
+    };
+
+    if (!el.hasAttribute('role')) el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    if (!el.hasAttribute('aria-hidden')) el.setAttribute('aria-hidden', 'true');
+
+    if (options.close) {
+      el.addEventListener('click', (e) => {
+        const closer = e.target.closest(options.close);
+        if (!closer || !el.contains(closer)) return;
+        e.preventDefault();
+        close(modal);
+      });
+    }
+
+    modal.controller = {
+      id: modal.id,
+      el,
+      open: opener => open(modal, opener),
+      close: () => close(modal),
+      isOpen: () => stack.indexOf(modal) !== -1,
+    };
+
+    modals.set(el, modal);
+    return modal.controller;
+  }
+
+  function get(el) {
+    return modals.has(el) ? modals.get(el).controller : null;
+  }
+
+  function getOpen() {
+    return stack.map(modal => modal.controller);
+  }
+
+  function closeAll() {
+    stack.slice().reverse().forEach(modal => close(modal));
+  }
+
+  /* ================= GLOBAL HANDLERS ================= */
+  // Escape and Tab only ever concern the topmost modal
+  document.addEventListener('keydown', (e) => {
+    const top = getTop();
+    if (!top) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close(top);
+    } else if (e.key === 'Tab') {
+      trapFocus(e, top);
+    }
+  });
+
+  window.addEventListener('popstate', () => {
+    if (ignorePops) {
+      ignorePops -= 1;
+      releaseScrollRestoration();
+      return;
+    }
+
+    const top = getTop();
+    if (top && top.pushed) close(top, true);
+  });
+
+  window.ThemeModal = {
+    register,
+    get,
+    getOpen,
+    closeAll,
+  };
+})();
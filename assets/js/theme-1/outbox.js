@@ -0,0 +1,193 @@
+/**
+ * Theme Outbox – Offline Submission Queue
+ * Form submissions that fail for lack of network are kept in localStorage and
+ * sent again, with backoff, once the connection is back
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    storageKey: 'formOutbox',
+    // Wait base × 2^attempts between tries, capped at max (ms)
+    backoff: { base: 5000, max: 5 * 60 * 1000 },
+    maxAttempts: 10,
+  };
+
+  const handlers = {};
+  let timer = null;
+  let flushing = false;
+
+  /* ================= STORAGE ================= */
+  // localStorage: [{ key, type, payload, attempts, nextAttempt, createdAt }]
+  function read() {
+    try {
+      return JSON.parse(localStorage.getItem(config.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function write(entries) {
+    try {
+      if (entries.length) {
+        localStorage.setItem(config.storageKey, JSON.stringify(entries));
+      } else {
+        localStorage.removeItem(config.storageKey);
+      }
+    } catch (error) {
+      console.warn('Could not save the outbox:', error);
+    }
+  }
+
+  function update(key, changes) {
+    write(read().map(entry => (entry.key === key ? { ...entry, ...changes } : entry)));
+  }
+
+  function remove(key) {
+    write(read().filter(entry => entry.key !== key));
+  }
+
+  /* ================= KEYS & ERRORS ================= */
+  // Sent along with the payload so the backend can ignore repeats of a
+  // submission it already handled
+  function createKey(type) {
+    const random = Math.random().toString(36).slice(2, 10);
+    return `${type}-${Date.now().toString(36)}-${random}`;
+  }
+
+  function isOnline() {
+    return navigator.onLine !== false;
+  }
+
+  // Transports flag network failures with error.offline
+  function isOfflineError(error) {
+    return !isOnline() || Boolean(error && error.offline);
+  }
+
+  /* ================= QUEUE ================= */
+  // handler(payload) -> promise; resolves once the submission went through.
+  // Registering a handler also sends anything of its type already waiting.
+  function registerHandler(type, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Outbox handler for "${type}" must be a function`);
+    }
+    handlers[type] = handler;
+    flush();
+  }
+
+  // An entry with the same key is already waiting: keep that one
+  function enqueue(type, payload, key) {
+    const entryKey = key || (payload && payload.idempotencyKey) || createKey(type);
+    const entries = read();
+    const existing = entries.find(entry => entry.key === entryKey);
+    if (existing) return existing;
+
+    const entry = {
+      key: entryKey,
+      type,
+      payload,
+      attempts: 0,
+      nextAttempt: Date.now(),
+      createdAt: new Date().toISOString(),
+    };
+    write(entries.concat(entry));
+
+    document.dispatchEvent(new CustomEvent('outbox:queued', { detail: { ...entry } }));
+    schedule();
+    return entry;
+  }
+
+  function getEntries(type) {
+    const entries = read();
+    return type ? entries.filter(entry => entry.type === type) : entries;
+  }
+
+  function getDelay(attempts) {
+    return Math.min(config.backoff.max, config.backoff.base * Math.pow(2, attempts));
+  }
+
+  function sendEntry(entry) {
+    return Promise.resolve()
+      .then(() => handlers[entry.type](entry.payload))
+      .then(result => {
+        remove(entry.key);
+        document.dispatchEvent(new CustomEvent('outbox:sent', {
+          detail: { key: entry.key, type: entry.type, payload: entry.payload, result },
+        }));
+      })
+      .catch(error => {
+        const attempts = entry.attempts + 1;
+
+        // Still offline (or a temporary failure): try again later
+        if ((isOfflineError(error) || (error && error.retryable)) && attempts < config.maxAttempts) {
+          update(entry.key, { attempts, nextAttempt: Date.now() + getDelay(attempts) });
+          return;
+        }
+
+        console.error(`Outbox gave up on ${entry.type} submission:`, error);
+        remove(entry.key);
+        document.dispatchEvent(new CustomEvent('outbox:failed', {
+          detail: { key: entry.key, type: entry.type, payload: entry.payload, error },
+        }));
+      });
+  }
+
+  // Sends every due entry that has a handler, one at a time
+  function flush() {
+    if (flushing || !isOnline()) return Promise.resolve();
+    flushing = true;
+
+    const now = Date.now();
+    const due = read().filter(entry => handlers[entry.type] && entry.nextAttempt <= now);
+
+    return due
+      .reduce((chain, entry) => chain.then(() => sendEntry(entry)), Promise.resolve())
+      .then(() => {
+        flushing = false;
+        schedule();
+      });
+  }
+
+  // One timer for the next entry that comes due
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+
+    const waiting = read().filter(entry => handlers[entry.type]);
+    if (!waiting.length || !isOnline()) return;
+
+    const next = Math.min(...waiting.map(entry => entry.nextAttempt));
+    timer = setTimeout(flush, Math.max(0, next - Date.now()));
+  }
+
+  /* ================= INIT ================= */
+  function init() {
+    // Back online: everything waiting is due right away
+    window.addEventListener('online', () => {
+      write(read().map(entry => ({ ...entry, nextAttempt: Date.now() })));
+      flush();
+    });
+
+    window.addEventListener('offline', () => {
+      clearTimeout(timer);
+      timer = null;
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeOutbox = {
+    createKey,
+    isOnline,
+    isOfflineError,
+    registerHandler,
+    enqueue,
+    getEntries,
+    flush,
+  };
+})();
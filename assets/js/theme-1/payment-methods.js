@@ -0,0 +1,227 @@
+/**
+ * Theme Payment Methods – Card & Vodafone Cash
+ * Built-in plugins for ThemeCheckout.registerPaymentMethod
+ */
+
+(function () {
+  'use strict';
+
+  const checkout = window.ThemeCheckout;
+  if (!checkout) return;
+
+  const config = {
+    images: 'assets/images/theme-1/',
+    cardLength: { min: 12, max: 19 },
+    // Vodafone Cash wallets are Vodafone Egypt lines: 010xxxxxxxx
+    walletPattern: /^(?:\+?20|0)?(10\d{8})$/,
+    otpLength: 6,
+  };
+
+  function digits(value) {
+    return String(value || '').replace(/\D/g, '');
+  }
+
+  /* ================= CARD ================= */
+  function passesLuhn(number) {
+    let sum = 0;
+    let double = false;
+
+    for (let i = number.length - 1; i >= 0; i--) {
+      let digit = Number(number[i]);
+      if (double) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+      double = !double;
+    }
+
+    return sum % 10 === 0;
+  }
+
+  function getCardBrand(number) {
+    if (/^4/.test(number)) return 'visa';
+    if (/^(5[1-5]|2[2-7])/.test(number)) return 'mastercard';
+    if (/^507803/.test(number)) return 'meeza';
+    if (/^3[47]/.test(number)) return 'amex';
+    return 'card';
+  }
+
+  // "0827" / "08/27" -> { month: 8, year: 2027 }
+  function parseExpiry(value) {
+    const match = /^(0[1-9]|1[0-2])\s*\/?\s*(\d{2})$/.exec(value);
+    if (!match) return null;
+    return { month: Number(match[1]), year: 2000 + Number(match[2]) };
+  }
+
+  function isExpired(expiry) {
+    const now = new Date();
+    // Cards are valid through the last day of their expiry month
+    return new Date(expiry.year, expiry.month, 1) <= new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  checkout.registerPaymentMethod({
+    id: 'card',
+    tile: {
+      logo: `${config.images}mastercard-logo.svg`,
+      name: ['checkout.methods.card.name', 'Credit / debit card'],
+      details: ['checkout.methods.card.details', 'Visa, Mastercard or Meeza'],
+    },
+    fields: [
+      {
+        name: 'cardNumber',
+        label: ['checkout.methods.card.number', 'Card number'],
+        placeholder: ['checkout.methods.card.numberPlaceholder', '1234 5678 9012 3456'],
+        inputmode: 'numeric',
+        autocomplete: 'cc-number',
+        dir: 'ltr',
+        maxlength: 23,
+        format: value => digits(value).slice(0, 19).replace(/(\d{4})(?=\d)/g, '$1 '),
+      },
+      {
+        name: 'cardExpiry',
+        label: ['checkout.methods.card.expiry', 'Expiry date'],
+        placeholder: ['checkout.methods.card.expiryPlaceholder', 'MM/YY'],
+        inputmode: 'numeric',
+        autocomplete: 'cc-exp',
+        dir: 'ltr',
+        maxlength: 5,
+        half: true,
+        format: value => digits(value).slice(0, 4).replace(/^(\d{2})(?=\d)/, '$1/'),
+      },
+      {
+        name: 'cardCvv',
+        label: ['checkout.methods.card.cvv', 'CVV'],
+        placeholder: ['checkout.methods.card.cvvPlaceholder', '123'],
+        type: 'password',
+        inputmode: 'numeric',
+        autocomplete: 'cc-csc',
+        dir: 'ltr',
+        maxlength: 4,
+        half: true,
+      },
+    ],
+    messages: {
+      'checkout.methods.card.errors.number': 'Please enter a valid card number',
+      'checkout.methods.card.errors.expiry': 'Please enter the expiry date as MM/YY',
+      'checkout.methods.card.errors.expired': 'This card has expired',
+      'checkout.methods.card.errors.cvv': 'Please enter the 3 or 4 digit code',
+    },
+    validate(values) {
+      const errors = {};
+      const number = digits(values.cardNumber);
+      const expiry = parseExpiry(values.cardExpiry);
+
+      if (!number) {
+        errors.cardNumber = 'checkout.errors.required';
+      } else if (number.length < config.cardLength.min || number.length > config.cardLength.max || !passesLuhn(number)) {
+        errors.cardNumber = 'checkout.methods.card.errors.number';
+      }
+
+      if (!values.cardExpiry) {
+        errors.cardExpiry = 'checkout.errors.required';
+      } else if (!expiry) {
+        errors.cardExpiry = 'checkout.methods.card.errors.expiry';
+      } else if (isExpired(expiry)) {
+        errors.cardExpiry = 'checkout.methods.card.errors.expired';
+      }
+
+      if (!values.cardCvv) {
+        errors.cardCvv = 'checkout.errors.required';
+      } else if (!/^\d{3,4}$/.test(values.cardCvv)) {
+        errors.cardCvv = 'checkout.methods.card.errors.cvv';
+      }
+
+      return errors;
+    },
+    // Only what's safe to keep with the order – the full number and CVV
+    // belong to the payment gateway's own fields/tokenisation.
+    getPayment(values) {
+      const number = digits(values.cardNumber);
+      const expiry = parseExpiry(values.cardExpiry);
+
+      return {
+        method: 'card',
+        brand: getCardBrand(number),
+        last4: number.slice(-4),
+        expiry: expiry ? `${String(expiry.month).padStart(2, '0')}/${String(expiry.year).slice(-2)}` : '',
+      };
+    },
+  });
+
+  /* ================= VODAFONE CASH ================= */
+  function normalizeWallet(value) {
+    const match = config.walletPattern.exec(digits(value).replace(/^0020/, '20'));
+    return match ? `0${match[1]}` : '';
+  }
+
+  checkout.registerPaymentMethod({
+    id: 'vodafone-cash',
+    tile: {
+      logo: `${config.images}vodafone-cash-logo.svg`,
+      name: ['checkout.methods.vodafoneCash.name', 'Vodafone Cash'],
+      details: ['checkout.methods.vodafoneCash.details', 'Pay from your Vodafone Cash wallet'],
+    },
+    fields: [
+      {
+        name: 'wallet',
+        label: ['checkout.methods.vodafoneCash.wallet', 'Wallet number'],
+        placeholder: ['checkout.methods.vodafoneCash.walletPlaceholder', '010xxxxxxxx'],
+        type: 'tel',
+        inputmode: 'tel',
+        autocomplete: 'tel',
+        dir: 'ltr',
+      },
+      {
+        name: 'otp',
+        step: 'otp',
+        label: ['checkout.methods.vodafoneCash.otp', 'Verification code'],
+        placeholder: ['checkout.methods.vodafoneCash.otpPlaceholder', '6-digit code'],
+        inputmode: 'numeric',
+        autocomplete: 'one-time-code',
+        dir: 'ltr',
+        maxlength: config.otpLength,
+        format: value => digits(value).slice(0, config.otpLength),
+      },
+    ],
+    messages: {
+      'checkout.methods.vodafoneCash.errors.wallet': 'Please enter a Vodafone Cash number (010…)',
+      'checkout.methods.vodafoneCash.errors.otp': 'Please enter the 6-digit code',
+    },
+    validate(values, step) {
+      const errors = {};
+
+      if (!values.wallet) {
+        errors.wallet = 'checkout.errors.required';
+      } else if (!normalizeWallet(values.wallet)) {
+        errors.wallet = 'checkout.methods.vodafoneCash.errors.wallet';
+      }
+
+      if (step === 'otp' && digits(values.otp).length !== config.otpLength) {
+        errors.otp = 'checkout.methods.vodafoneCash.errors.otp';
+      }
+
+      return errors;
+    },
+    getPayment(values, step) {
+      const payment = { method: 'vodafone-cash', wallet: normalizeWallet(values.wallet) };
+      if (step === 'otp') payment.otp = digits(values.otp);
+      return payment;
+    },
+    // Two steps: first ask the backend to text a code to the wallet,
+    // then place the order with that code attached.
+    submit(order, context) {
+      if (context.step === 'otp') return context.adapter.submit(order);
+
+      if (typeof context.adapter.requestOtp !== 'function') {
+        return Promise.reject(new Error('This checkout adapter cannot send wallet codes'));
+      }
+
+      return context.adapter.requestOtp(order).then(() => ({
+        step: 'otp',
+        message: ['checkout.methods.vodafoneCash.otpSent', 'We sent a verification code to {wallet}'],
+        params: { wallet: order.payment.wallet },
+      }));
+    },
+  });
+})();
@@ -0,0 +1,181 @@
+/**
+ * Theme Promo – Discount Codes
+ * Codes looked up one at a time through the checkout adapter; one applied code
+ * shared by checkout and pricing
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    storageKey: 'promoCode',
+    // Shortest to longest – "minPeriod" compares positions in this list
+    periods: ['monthly', 'quarterly', 'yearly', 'lifetime'],
+  };
+
+  // Normalized code -> rule, or null for a code that doesn't exist
+  const rules = {};
+  const lookups = {};
+  let appliedCode = null;
+
+  /* ================= LOOKUP ================= */
+  // A rule: { code, type: "percent" | "fixed", value, expires: "YYYY-MM-DD",
+  // plans: ["basic"], minPeriod: "yearly" }. A fixed value is either a
+  // base-currency amount or { EGP: 200, USD: 5 }.
+  // Only the codes a visitor types are asked for (ThemeCheckout.lookupPromo),
+  // so the full list stays on the backend. The discount shown here drives the
+  // UI; the backend still re-checks promoCode and the amount of every order.
+  function lookup(code) {
+    const wanted = normalize(code);
+    if (Object.prototype.hasOwnProperty.call(rules, wanted)) return Promise.resolve(rules[wanted]);
+    if (lookups[wanted]) return lookups[wanted];
+
+    if (!window.ThemeCheckout) return Promise.reject(new Error('Promo codes need ThemeCheckout'));
+
+    lookups[wanted] = window.ThemeCheckout.lookupPromo(wanted)
+      .then(rule => {
+        delete lookups[wanted];
+        rules[wanted] = rule ? { ...rule, code: normalize(rule.code) } : null;
+        return rules[wanted];
+      })
+      .catch(error => {
+        delete lookups[wanted];
+        throw error;
+      });
+
+    return lookups[wanted];
+  }
+
+  /* ================= RULES ================= */
+  function normalize(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  function findRule(code) {
+    return rules[normalize(code)] || null;
+  }
+
+  function isExpired(rule) {
+    if (!rule.expires) return false;
+    // Codes stay valid through the whole expiry day
+    return new Date(`${rule.expires}T23:59:59`) < new Date();
+  }
+
+  // context: { plan, period } – returns { ok, rule, error } where error is
+  // an i18n key under checkout.promo.errors
+  function check(code, context = {}) {
+    const rule = findRule(code);
+
+    if (!rule) return { ok: false, rule: null, error: 'checkout.promo.errors.invalid' };
+    if (isExpired(rule)) return { ok: false, rule, error: 'checkout.promo.errors.expired' };
+
+    if (rule.plans && rule.plans.length && rule.plans.indexOf(context.plan) === -1) {
+      return { ok: false, rule, error: 'checkout.promo.errors.plan' };
+    }
+
+    if (rule.minPeriod) {
+      const required = config.periods.indexOf(rule.minPeriod);
+      const actual = config.periods.indexOf(context.period);
+      if (actual === -1 || actual < required) {
+        return { ok: false, rule, error: 'checkout.promo.errors.period' };
+      }
+    }
+
+    return { ok: true, rule, error: '' };
+  }
+
+  function getFixedValue(rule, currency) {
+    if (typeof rule.value === 'object') {
+      return rule.value[currency] != null ? Number(rule.value[currency]) : 0;
+    }
+
+    const converter = window.ThemeCurrency;
+    return converter ? converter.convert(rule.value, currency) : Number(rule.value);
+  }
+
+  // Discount for an amount (already in context.currency), never above it
+  function getDiscount(amount, context = {}) {
+    if (!appliedCode) return 0;
+
+    const result = check(appliedCode, context);
+    if (!result.ok) return 0;
+
+    const rule = result.rule;
+    const discount = rule.type === 'fixed'
+      ? getFixedValue(rule, context.currency)
+      : Math.round(Number(amount) * Number(rule.value) / 100);
+
+    return Math.max(0, Math.min(Number(amount), discount));
+  }
+
+  /* ================= APPLIED CODE ================= */
+  function getCode() {
+    return appliedCode;
+  }
+
+  function getRule() {
+    return appliedCode ? findRule(appliedCode) : null;
+  }
+
+  function setCode(code) {
+    const previous = appliedCode;
+    appliedCode = code;
+
+    if (code) {
+      sessionStorage.setItem(config.storageKey, code);
+    } else {
+      sessionStorage.removeItem(config.storageKey);
+    }
+
+    document.dispatchEvent(new CustomEvent('promo:change', {
+      detail: { code, previous },
+    }));
+  }
+
+  // Resolves with check()'s result; the code is kept only when it passes
+  function apply(code, context) {
+    return lookup(code).then(() => {
+      const result = check(code, context);
+      if (result.ok) setCode(result.rule.code);
+      return result;
+    });
+  }
+
+  function clear() {
+    if (appliedCode) setCode(null);
+  }
+
+  // Bring back a code applied before a language switch reloaded the page
+  function init() {
+    const stored = sessionStorage.getItem(config.storageKey);
+    if (!stored) return;
+
+    lookup(stored)
+      .then(rule => {
+        if (rule && !isExpired(rule)) {
+          setCode(rule.code);
+        } else {
+          sessionStorage.removeItem(config.storageKey);
+        }
+      })
+      .catch(error => {
+        console.warn('Promo codes unavailable:', error);
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemePromo = {
+    lookup,
+    check,
+    apply,
+    clear,
+    getCode,
+    getRule,
+    getDiscount,
+  };
+})();
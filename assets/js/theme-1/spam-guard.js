@@ -0,0 +1,152 @@
+/**
+ * Theme Spam Guard – Honeypot, Timing & Rate Limits
+ * Client-side checks shared by the contact form and checkout; a challenge hook
+ * lets a site add its own verification step without a third-party service
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    storageKey: 'formSubmissions',
+    honeypotName: 'website',
+    // Humans rarely fill and send a form within a few seconds of it appearing
+    minTime: 3000,
+    // Sends allowed per form within the window (ms)
+    rateLimit: { max: 3, window: 10 * 60 * 1000 },
+  };
+
+  let challenge = null;
+
+  /* ================= RATE LIMIT ================= */
+  // localStorage: { contact: [timestamp, …], checkout: [...] }
+  function readLog() {
+    try {
+      return JSON.parse(localStorage.getItem(config.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function getRecent(id, windowMs) {
+    const since = Date.now() - windowMs;
+    return (readLog()[id] || []).filter(time => time > since);
+  }
+
+  function record(id, windowMs) {
+    const log = readLog();
+    log[id] = getRecent(id, windowMs).concat(Date.now());
+
+    try {
+      localStorage.setItem(config.storageKey, JSON.stringify(log));
+    } catch (error) {
+      console.warn('Could not store form submission time:', error);
+    }
+  }
+
+  /* ================= HONEYPOT ================= */
+  // An off-screen field people never see or reach with the keyboard; bots
+  // that fill every input give themselves away.
+  function createHoneypot(scope) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'spam-guard-field';
+    wrapper.setAttribute('aria-hidden', 'true');
+
+    const label = document.createElement('label');
+    label.textContent = 'Leave this field empty';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = config.honeypotName;
+    input.tabIndex = -1;
+    input.autocomplete = 'off';
+
+    label.appendChild(input);
+    wrapper.appendChild(label);
+    scope.appendChild(wrapper);
+    return input;
+  }
+
+  /* ================= CHALLENGE ================= */
+  // fn({ id, scope }) -> value or promise. Falsy fails the check; anything
+  // else passes and comes back as result.token for the request payload.
+  function setChallenge(fn) {
+    if (fn !== null && typeof fn !== 'function') {
+      throw new Error('Spam guard challenge must be a function or null');
+    }
+    challenge = fn;
+  }
+
+  /* ================= GUARD ================= */
+  // protect(scope, { id, minTime, rateLimit }) -> guard with
+  //   check()  promise of { ok, reason, params, token }
+  //            reason: "honeypot" | "too-fast" | "rate-limit" | "challenge"
+  //   reset()  restarts the timer (e.g. after the form was cleared)
+  // Each passing check() counts towards the rate limit.
+  function protect(scope, options = {}) {
+    const id = options.id || scope.id || 'form';
+    const minTime = options.minTime != null ? options.minTime : config.minTime;
+    const limit = { ...config.rateLimit, ...options.rateLimit };
+    const honeypot = createHoneypot(scope);
+    let startedAt = Date.now();
+
+    function fail(reason, params) {
+      return { ok: false, reason, params: params || null, token: null };
+    }
+
+    function check() {
+      if (honeypot.value) return Promise.resolve(fail('honeypot'));
+
+      if (Date.now() - startedAt < minTime) {
+        return Promise.resolve(fail('too-fast'));
+      }
+
+      const recent = getRecent(id, limit.window);
+      if (recent.length >= limit.max) {
+        const retryAt = recent[recent.length - limit.max] + limit.window;
+        return Promise.resolve(fail('rate-limit', {
+          minutes: Math.max(1, Math.ceil((retryAt - Date.now()) / 60000)),
+        }));
+      }
+
+      return Promise.resolve(challenge ? challenge({ id, scope }) : true)
+        .catch(error => {
+          console.warn(`Spam guard challenge failed for "${id}":`, error);
+          return null;
+        })
+        .then(token => {
+          if (!token) return fail('challenge');
+
+          record(id, limit.window);
+          return { ok: true, reason: '', params: null, token: token === true ? null : token };
+        });
+    }
+
+    function reset() {
+      startedAt = Date.now();
+      honeypot.value = '';
+    }
+
+    return { id, check, reset };
+  }
+
+  // Status message for a failed check, as [key, fallback]; null for a
+  // honeypot hit, which callers report as an ordinary failure – it looks
+  // like any other error to a bot, and a real visitor whose autofill filled
+  // the trap isn't told their message or order went through
+  const messages = {
+    'too-fast': ['spam.tooFast', 'That was quick! Please check your details and send again.'],
+    'rate-limit': ['spam.rateLimited', 'Too many attempts. Please try again in {minutes} min.'],
+    challenge: ['spam.challenge', 'We couldn\'t verify this request. Please try again.'],
+  };
+
+  function getMessage(result) {
+    return result && messages[result.reason] ? messages[result.reason] : null;
+  }
+
+  window.ThemeSpamGuard = {
+    protect,
+    setChallenge,
+    getMessage,
+  };
+})();
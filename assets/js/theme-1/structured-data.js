@@ -0,0 +1,268 @@
+/**
+ * Theme Structured Data – schema.org JSON-LD
+ * Describes the FAQ, the course with its plans and the instructor for search
+ * engines, in the active locale and currency
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    faqItem: '.faq-item',
+    faqQuestion: '.faq-question-text',
+    faqAnswer: '.faq-answer p',
+    pricingCard: '.pricing-card[data-plan]',
+    moduleCard: '.module-card',
+    instructor: '.instructor-info',
+    instructorImage: '.instructor-image',
+    courseDescription: '[data-i18n="course.description"]',
+    // Billing periods without a data-months on their button
+    periodMonths: { monthly: 1, quarterly: 3, yearly: 12, lifetime: 0 },
+  };
+
+  let scriptEl = null;
+  let timer = null;
+
+  function translate(key, fallback) {
+    return window.ThemeI18n ? window.ThemeI18n.t(key, null, fallback) : fallback;
+  }
+
+  function getText(el) {
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function absoluteUrl(path) {
+    return new URL(path, window.location.href).href;
+  }
+
+  // The page URL for the active locale, without hash
+  function getPageUrl() {
+    const i18n = window.ThemeI18n;
+    const page = i18n ? i18n.getLocalePage(i18n.getLocale()) : null;
+    const url = new URL(page || window.location.href, window.location.href);
+    url.hash = '';
+    return url.href;
+  }
+
+  function getLocale() {
+    return window.ThemeI18n ? window.ThemeI18n.getLocale() : document.documentElement.lang;
+  }
+
+  // ISO 8601 duration from minutes: 90 -> "PT1H30M"
+  function toDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+  }
+
+  /* ================= FAQ ================= */
+  function buildFAQ(pageUrl) {
+    const questions = Array.from(document.querySelectorAll(config.faqItem))
+      .map(item => ({
+        '@type': 'Question',
+        name: getText(item.querySelector(config.faqQuestion)),
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: Array.from(item.querySelectorAll(config.faqAnswer)).map(getText).join(' '),
+        },
+      }))
+      .filter(question => question.name && question.acceptedAnswer.text);
+
+    if (!questions.length) return null;
+
+    return {
+      '@type': 'FAQPage',
+      '@id': `${pageUrl}#faq`,
+      inLanguage: getLocale(),
+      mainEntity: questions,
+    };
+  }
+
+  /* ================= INSTRUCTOR ================= */
+  function buildPerson(pageUrl) {
+    const info = document.querySelector(config.instructor);
+    if (!info) return null;
+
+    // "Eng. Ahmed Sami <span>— Senior UI/UX Designer</span>"
+    const nameEl = info.querySelector('.instructor-name');
+    const titleEl = nameEl ? nameEl.querySelector('.instructor-title-text') : null;
+    const jobTitle = getText(titleEl).replace(/^[\s—–-]+/, '');
+    const name = getText(nameEl).replace(getText(titleEl), '').trim();
+    if (!name) return null;
+
+    const person = {
+      '@type': 'Person',
+      '@id': `${pageUrl}#instructor`,
+      name,
+    };
+
+    if (jobTitle) person.jobTitle = jobTitle;
+
+    const description = getText(info.querySelector('.instructor-experience'));
+    if (description) person.description = description;
+
+    const image = document.querySelector(config.instructorImage);
+    if (image && image.getAttribute('src')) person.image = absoluteUrl(image.getAttribute('src'));
+
+    return person;
+  }
+
+  /* ================= OFFERS ================= */
+  function getMonths(period) {
+    const button = document.querySelector(`[data-billing-periods] [data-period="${period}"]`);
+    const declared = button ? button.getAttribute('data-months') : null;
+    if (declared !== null && declared !== '') return Number(declared);
+    return config.periodMonths[period] !== undefined ? config.periodMonths[period] : 1;
+  }
+
+  // One Offer per plan at its list price for the billing period on show;
+  // promo discounts are personal and stay out of it
+  function buildOffers(pageUrl) {
+    const currency = window.ThemeCurrency;
+    const code = currency ? currency.getCurrency() : document.documentElement.getAttribute('data-currency');
+
+    return Array.from(document.querySelectorAll(config.pricingCard)).map(card => {
+      const plan = card.getAttribute('data-plan');
+      const amountEl = card.querySelector('.price-amount');
+      if (!amountEl) return null;
+
+      const period = amountEl.getAttribute('data-period') || 'monthly';
+      const base = amountEl.getAttribute('data-price') || amountEl.getAttribute(`data-${period}`);
+      if (base === null) return null;
+
+      const price = currency ? currency.getPrice(base, plan, period) : Number(base);
+      const months = getMonths(period);
+
+      const offer = {
+        '@type': 'Offer',
+        '@id': `${pageUrl}#offer-${plan}`,
+        name: getText(card.querySelector('.pricing-card-title')),
+        description: getText(card.querySelector('.pricing-card-description')),
+        category: 'Paid',
+        price,
+        priceCurrency: code,
+        availability: 'https://schema.org/InStock',
+        url: `${pageUrl}#pricing-${period}`,
+      };
+
+      // Recurring plans bill every n months; lifetime (0) is a one-off price
+      if (months > 0) {
+        offer.priceSpecification = {
+          '@type': 'UnitPriceSpecification',
+          price,
+          priceCurrency: code,
+          billingDuration: `P${months}M`,
+        };
+      }
+
+      return offer;
+    }).filter(Boolean);
+  }
+
+  /* ================= COURSE ================= */
+  // Module titles and length come from the curriculum file when it's loaded,
+  // otherwise from the modules on the page
+  function getSyllabus() {
+    const curriculum = window.ThemeCurriculum;
+    const modules = curriculum ? curriculum.getModules() : [];
+
+    if (modules.length) {
+      return modules.map(module => ({
+        '@type': 'Syllabus',
+        name: translate(module.title, module.id),
+        timeRequired: toDuration(module.lessons.reduce((sum, lesson) => sum + (Number(lesson.duration) || 0), 0)),
+      }));
+    }
+
+    return Array.from(document.querySelectorAll(config.moduleCard)).map(card => {
+      const section = { '@type': 'Syllabus', name: getText(card.querySelector('.module-title')) };
+      const duration = card.querySelector('.module-duration[data-value]');
+      if (duration) section.timeRequired = toDuration(Number(duration.getAttribute('data-value')) || 0);
+      return section;
+    }).filter(section => section.name);
+  }
+
+  function buildCourse(pageUrl, person) {
+    const course = {
+      '@type': 'Course',
+      '@id': `${pageUrl}#course`,
+      name: translate('meta.courseName', document.title),
+      description: getText(document.querySelector(config.courseDescription)),
+      url: pageUrl,
+      inLanguage: getLocale(),
+    };
+
+    if (person) course.provider = { '@id': person['@id'] };
+
+    const instance = {
+      '@type': 'CourseInstance',
+      courseMode: 'Online',
+    };
+    const totals = window.ThemeCurriculum ? window.ThemeCurriculum.getTotals() : null;
+    if (totals && totals.minutes) instance.courseWorkload = toDuration(totals.minutes);
+    if (person) instance.instructor = { '@id': person['@id'] };
+    course.hasCourseInstance = instance;
+
+    const syllabus = getSyllabus();
+    if (syllabus.length) course.syllabusSections = syllabus;
+
+    const offers = buildOffers(pageUrl);
+    if (offers.length) course.offers = offers;
+
+    return course;
+  }
+
+  /* ================= RENDER ================= */
+  // { "@context", "@graph": [FAQPage, Course (with Offers), Person] }
+  function build() {
+    const pageUrl = getPageUrl();
+    const person = buildPerson(pageUrl);
+
+    return {
+      '@context': 'https://schema.org',
+      '@graph': [buildFAQ(pageUrl), buildCourse(pageUrl, person), person].filter(Boolean),
+    };
+  }
+
+  function update() {
+    clearTimeout(timer);
+    timer = null;
+
+    if (!scriptEl) {
+      scriptEl = document.createElement('script');
+      scriptEl.type = 'application/ld+json';
+      scriptEl.setAttribute('data-structured-data', '');
+      document.head.appendChild(scriptEl);
+    }
+
+    // "<" escaped so page text can never close the script element
+    scriptEl.textContent = JSON.stringify(build()).replace(/</g, '\\u003c');
+  }
+
+  // Several of the events below often arrive together
+  function scheduleUpdate() {
+    clearTimeout(timer);
+    timer = setTimeout(update, 0);
+  }
+
+  /* ================= INIT ================= */
+  function init() {
+    update();
+
+    document.addEventListener('i18n:change', scheduleUpdate);
+    document.addEventListener('currency:change', scheduleUpdate);
+    document.addEventListener('billing:change', scheduleUpdate);
+    document.addEventListener('curriculum:render', scheduleUpdate);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ThemeStructuredData = {
+    build,
+    update,
+  };
+})();
@@ -5,8 +5,8 @@
   // Load Language File
   // ============================================
   function loadLanguageFile(filePath) {
-    // Use direct navigation instead of fetch for better compatibility with GitHub Pages
-    // This ensures the language switch works reliably on all hosting platforms
+    // Full-page fallback for the in-place switch in initLanguageDropdown.
+    // Direct navigation works on every host, including file:// where fetch doesn't
     
     let fullPath = '';
     
@@ -17,7 +17,7 @@
       // For relative paths, use URL constructor to resolve correctly
       try {
         const url = new URL(filePath, window.location.href);
-        fullPath = url.pathname;
+        fullPath = url.pathname + url.search;
       } catch (e) {
         // Fallback: calculate path manually
         const currentPath = window.location.pathname;
@@ -42,6 +42,53 @@
     window.location.href = fullPath;
   }
 
+  function isCurrentPage(filePath) {
+    try {
+      const url = new URL(filePath, window.location.href);
+      return url.pathname === window.location.pathname && url.search === window.location.search;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // ============================================
+  // Analytics
+  // ============================================
+  // Interactions go to the site-wide event bus (analytics.js) when it's loaded
+  function publish(name, params) {
+    if (window.ThemeAnalytics) window.ThemeAnalytics.publish(name, params);
+  }
+
+  // ============================================
+  // Resolve Initial Language
+  // ============================================
+  // Explicit URL (?lang=) → stored choice → browser preference → page default
+  function resolveLanguage(isSupported, pageLang) {
+    const urlLang = new URLSearchParams(window.location.search).get('lang');
+    if (urlLang && isSupported(urlLang)) {
+      return { lang: urlLang, source: 'url' };
+    }
+
+    const storedLang = localStorage.getItem('selectedLanguage');
+    if (storedLang && isSupported(storedLang)) {
+      return { lang: storedLang, source: 'storage' };
+    }
+
+    const preferred = navigator.languages && navigator.languages.length
+      ? navigator.languages
+      : [navigator.language];
+
+    for (const tag of preferred) {
+      if (!tag) continue;
+      // "fr-CA" matches a registered "fr-CA" first, then plain "fr"
+      const candidates = [tag, tag.split('-')[0]].map(code => code.toLowerCase());
+      const match = candidates.find(isSupported);
+      if (match) return { lang: match, source: 'browser' };
+    }
+
+    return { lang: pageLang, source: 'page' };
+  }
+
   // ============================================
   // Mobile Menu Toggle
   // ============================================
@@ -87,35 +134,122 @@
 
     if (!langToggle || !langMenu || !langCurrent || !langDropdown) return;
 
-    // Get current language from localStorage or detect from current file
-    let currentLang = localStorage.getItem('selectedLanguage');
-    let currentLangName = localStorage.getItem('selectedLanguageName');
-    
-    // If no saved language, detect from current file path
-    if (!currentLang) {
-      const currentPath = window.location.pathname;
-      if (currentPath.includes('index-en.html')) {
-        currentLang = 'en';
-        currentLangName = 'English';
-      } else {
-        currentLang = 'ar';
-        currentLangName = 'العربية';
+    const i18n = window.ThemeI18n;
+    const pageLang = document.documentElement.getAttribute('lang') || 'ar';
+
+    // Build the menu from the locale registry (the static markup only lists
+    // the pre-rendered pages, for visitors without JavaScript)
+    if (i18n) {
+      langMenu.innerHTML = '';
+      i18n.getLocales().forEach(locale => {
+        const item = document.createElement('li');
+        const option = document.createElement('a');
+        option.href = i18n.getLocalePage(locale.code) || '#';
+        option.className = 'block';
+        option.setAttribute('data-lang', locale.code);
+        option.setAttribute('data-lang-name', locale.name);
+        option.setAttribute('lang', locale.code);
+        option.textContent = locale.name;
+        item.appendChild(option);
+        langMenu.appendChild(item);
+      });
+    }
+
+    const langOptions = langMenu.querySelectorAll('a');
+
+    // Opt in with <html data-lang-redirect> to send visitors to the matching
+    // pre-rendered locale page instead of translating this one in place
+    const redirectToLocalePage = document.documentElement.hasAttribute('data-lang-redirect');
+
+    // The page is rendered in pageLang; URL, storage or browser may ask for another
+    let currentLang = pageLang;
+
+    function getOption(lang) {
+      return Array.from(langOptions).find(option => option.getAttribute('data-lang') === lang);
+    }
+
+    function getLanguagePath(lang) {
+      if (i18n) return i18n.getLocalePage(lang);
+
+      // Fallback: determine file path based on language
+      return lang === 'ar' ? 'index.html' : 'index-en.html';
+    }
+
+    function setActiveLanguage(lang) {
+      const option = getOption(lang);
+
+      langOptions.forEach(opt => opt.classList.remove('active'));
+      if (option) {
+        option.classList.add('active');
+        langCurrent.textContent = option.getAttribute('data-lang-name');
+      }
+
+      // Save to localStorage
+      localStorage.setItem('selectedLanguage', lang);
+      if (option) {
+        localStorage.setItem('selectedLanguageName', option.getAttribute('data-lang-name'));
       }
-      // Save detected language
-      localStorage.setItem('selectedLanguage', currentLang);
-      localStorage.setItem('selectedLanguageName', currentLangName);
     }
-    
-    // Update current language display
-    langCurrent.textContent = currentLangName;
 
-    // Set page direction
-    if (currentLang === 'ar') {
-      document.documentElement.setAttribute('dir', 'rtl');
-      document.documentElement.setAttribute('lang', 'ar');
-    } else {
-      document.documentElement.setAttribute('dir', 'ltr');
-      document.documentElement.setAttribute('lang', 'en');
+    // Keep an explicit ?lang= in step with the displayed language so a reload
+    // doesn't bring back the previous one
+    function syncUrlLanguage(lang) {
+      const url = new URL(window.location.href);
+      if (!url.searchParams.has('lang') || url.searchParams.get('lang') === lang) return;
+
+      url.searchParams.set('lang', lang);
+      history.replaceState(history.state, '', url);
+    }
+
+    function goToLanguagePage(lang, filePath) {
+      localStorage.setItem('selectedLanguage', lang);
+      loadLanguageFile(filePath);
+    }
+
+    function switchLanguage(lang) {
+      // Without the runtime string tables we can only navigate to the locale page
+      if (!i18n) {
+        goToLanguagePage(lang, getLanguagePath(lang));
+        return;
+      }
+
+      // Swap strings in place so scroll position, open panels and typed form
+      // values survive; fall back to navigation if the table can't be fetched
+      // (e.g. when the page is opened from file://)
+      i18n.setLocale(lang)
+        .then(() => {
+          currentLang = lang;
+          setActiveLanguage(lang);
+          syncUrlLanguage(lang);
+        })
+        .catch(err => {
+          const filePath = getLanguagePath(lang);
+
+          // Locales without a pre-rendered page (or whose page is this one)
+          // can only be shown in place
+          if (!filePath || isCurrentPage(filePath)) {
+            console.error(`Could not switch to "${lang}":`, err);
+            return;
+          }
+
+          console.warn('In-place language switch failed, loading locale page instead:', err);
+          goToLanguagePage(lang, filePath);
+        });
+    }
+
+    const resolved = resolveLanguage(lang => Boolean(getOption(lang)), pageLang);
+
+    // Store what is actually displayed; a successful switch below updates it
+    setActiveLanguage(currentLang);
+
+    if (resolved.lang !== pageLang) {
+      const filePath = getLanguagePath(resolved.lang);
+
+      if (redirectToLocalePage && filePath && !isCurrentPage(filePath)) {
+        goToLanguagePage(resolved.lang, filePath);
+      } else {
+        switchLanguage(resolved.lang);
+      }
     }
 
     // Toggle dropdown on button click
@@ -125,48 +259,20 @@
     });
 
     // Handle language selection
-    const langOptions = langMenu.querySelectorAll('a');
     langOptions.forEach(option => {
       option.addEventListener('click', (e) => {
         e.preventDefault();
-        
+
         const selectedLang = option.getAttribute('data-lang');
-        const selectedLangName = option.getAttribute('data-lang-name');
-        const filePath = option.getAttribute('href');
-        
-        // Don't reload if same language
-        if (selectedLang === currentLang) {
-          langDropdown.classList.remove('active');
-          return;
-        }
-        
-        // Update current language display
-        langCurrent.textContent = selectedLangName;
-        
-        // Save to localStorage
-        localStorage.setItem('selectedLanguage', selectedLang);
-        localStorage.setItem('selectedLanguageName', selectedLangName);
-        
-        // Update current language variable
-        currentLang = selectedLang;
-        
+
         // Close dropdown
         langDropdown.classList.remove('active');
-        
-        // Update active state in menu
-        langOptions.forEach(opt => opt.classList.remove('active'));
-        option.classList.add('active');
-        
-        // Load the appropriate language file using href from the link
-        if (filePath) {
-          loadLanguageFile(filePath);
-        } else {
-          // Fallback: determine file path based on language
-          const fallbackPath = selectedLang === 'ar' 
-            ? 'index.html'
-            : 'index-en.html';
-          loadLanguageFile(fallbackPath);
-        }
+
+        // Don't reload if same language
+        if (selectedLang === currentLang) return;
+
+        publish('language_change', { from: currentLang, to: selectedLang });
+        switchLanguage(selectedLang);
       });
     });
 
@@ -176,13 +282,6 @@
         langDropdown.classList.remove('active');
       }
     });
-
-    // Set active language on load
-    langOptions.forEach(option => {
-      if (option.getAttribute('data-lang') === currentLang) {
-        option.classList.add('active');
-      }
-    });
   }
 
   // ============================================
@@ -190,10 +289,9 @@
   // ============================================
   function initVideoPlayer() {
     const videoModal = document.getElementById('videoModal');
-    const videoModalClose = document.getElementById('videoModalClose');
     const modalVideo = document.getElementById('modalVideo'); // HTML5 <video>
 
-    if (!videoModal || !videoModalClose || !modalVideo) return;
+    if (!videoModal || !modalVideo || !window.ThemeModal) return;
 
     // Collect all triggers that should open the main video modal
     const triggers = [
@@ -204,217 +302,383 @@
 
     if (!triggers.length) return;
 
-    let lastFocusedElement = null;
+    // Sources, captions, speed, resume and shortcuts (see video-player.js)
+    const player = window.ThemeVideoPlayer
+      ? window.ThemeVideoPlayer.create(modalVideo, { container: videoModal })
+      : null;
+
+    // Scroll lock, focus, Escape and the back button are ThemeModal's job
+    const modal = window.ThemeModal.register(videoModal, {
+      // The preview gate's links lead out of the modal too
+      close: '.video-modal-close, .video-modal-overlay, .video-gate-action',
+      // Focus the video so the keyboard shortcuts work right away – or the
+      // offer, when a locked lesson has nothing to preview
+      initialFocus: () => videoModal.querySelector('.video-gate:not([hidden]) .video-gate-action') || modalVideo,
+      onClose() {
+        // The player keeps the position for next time
+        if (player) {
+          player.unload();
+        } else {
+          modalVideo.pause();
+          modalVideo.currentTime = 0;
+        }
+      },
+    });
+
+    function loadVideo(trigger) {
+      if (player) return player.load(window.ThemeVideoPlayer.getOptions(trigger));
 
-    function openModal(videoUrl, trigger) {
+      const videoUrl = trigger.getAttribute('data-video-url');
       if (!videoUrl) {
         console.error('Video URL not found in data-video-url attribute');
-        return;
+        return false;
       }
 
-      lastFocusedElement = trigger || document.activeElement;
-
-      // Set video source
       modalVideo.src = videoUrl;
-
-      // Show modal
-      videoModal.classList.add('active');
-      videoModal.setAttribute('aria-hidden', 'false');
-      document.body.style.overflow = 'hidden'; // Prevent body scroll
-
-      // Move focus to close button for accessibility
-      videoModalClose.focus();
-
-      // Play video
       modalVideo.play().catch(err => {
         console.log('Video autoplay prevented:', err);
       });
-    }
-
-    function closeModal() {
-      videoModal.classList.remove('active');
-      videoModal.setAttribute('aria-hidden', 'true');
-      document.body.style.overflow = ''; // Restore body scroll
-      modalVideo.pause();
-      modalVideo.currentTime = 0;
-
-      // Restore focus to the element that opened the modal
-      if (lastFocusedElement && typeof lastFocusedElement.focus === 'function') {
-        lastFocusedElement.focus();
-      }
+      return true;
     }
 
     // Wire up all open triggers
     triggers.forEach(trigger => {
       trigger.addEventListener('click', (e) => {
         e.preventDefault();
-        const videoUrl = trigger.getAttribute('data-video-url');
-        openModal(videoUrl, trigger);
+        if (loadVideo(trigger)) modal.open(trigger);
       });
     });
+  }
 
-    // Close on close button click
-    videoModalClose.addEventListener('click', (e) => {
-      e.preventDefault();
-      closeModal();
+  // ============================================
+  // Course Modules Accordion
+  // ============================================
+  function initCourseModules() {
+    const container = document.querySelector('.course-modules');
+
+    if (!container || !window.ThemeAccordion) return;
+
+    const accordion = window.ThemeAccordion.create(container, {
+      item: '.module-card',
+      trigger: '.module-toggle',
+      header: '.module-header',
+      panel: '.module-content',
+      idPrefix: 'module',
+      // #module-<id> opens that module
+      hash: true,
     });
 
-    // Close on overlay click
-    const overlay = videoModal.querySelector('.video-modal-overlay');
-    if (overlay) {
-      overlay.addEventListener('click', (e) => {
-        e.preventDefault();
-        closeModal();
-      });
+    // The +/− glyph follows the panel state
+    function setIcon(e) {
+      const toggleIcon = e.detail.item.querySelector('.toggle-icon');
+      if (toggleIcon) toggleIcon.textContent = e.type === 'accordion:open' ? '−' : '+';
     }
 
-    // Close on Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && videoModal.classList.contains('active')) {
-        closeModal();
-      }
-    });
+    container.addEventListener('accordion:open', setIcon);
+    container.addEventListener('accordion:close', setIcon);
 
-    // Optional: close modal when video ends
-    modalVideo.addEventListener('ended', () => {
-      // closeModal();
+    // Modules rendered (or paged in) by ThemeCurriculum need their ARIA wiring,
+    // and a deep-linked module may only exist now
+    document.addEventListener('curriculum:render', (e) => {
+      accordion.refresh();
+      if (e.detail.cards.some(card => `#${card.id}` === window.location.hash)) {
+        accordion.openFromHash();
+      }
     });
   }
 
   // ============================================
-  // Course Modules Accordion
+  // Billing Periods (Monthly/Quarterly/Yearly/Lifetime)
   // ============================================
-  function initCourseModules() {
-    const moduleCards = document.querySelectorAll('.module-card');
-    const moduleHeaders = document.querySelectorAll('.module-header');
-    const moduleToggles = document.querySelectorAll('.module-toggle');
-
-    if (!moduleCards.length) return;
-
-    // Handle module toggle
-    moduleHeaders.forEach((header, index) => {
-      header.addEventListener('click', () => {
-        const card = moduleCards[index];
-        const isActive = card.classList.contains('active');
-        const toggleIcon = card.querySelector('.toggle-icon');
-
-        // Toggle active state
-        if (isActive) {
-          card.classList.remove('active');
-          if (toggleIcon) toggleIcon.textContent = '+';
+  // Periods are declared in markup: one [data-period] button per period inside
+  // [data-billing-periods], and a data-<period> base price on each .price-amount.
+  // A button's data-months overrides the month counts below (0 = one-time).
+  const billingPeriodMonths = {
+    monthly: 1,
+    quarterly: 3,
+    yearly: 12,
+    lifetime: 0,
+  };
+
+  function initBillingPeriods() {
+    const wrapper = document.querySelector('[data-billing-periods]');
+    const cards = document.querySelectorAll('.pricing-card');
+
+    if (!wrapper || !cards.length) return;
+
+    const buttons = Array.from(wrapper.querySelectorAll('[data-period]'));
+    const periods = buttons.map(button => button.getAttribute('data-period'));
+    const section = wrapper.closest('.pricing-section') || wrapper;
+    const hashPrefix = '#pricing-';
+    let currentPeriod = null;
+
+    if (!periods.length) return;
+
+    function translate(key, fallback, params) {
+      const i18n = window.ThemeI18n;
+      if (i18n) return i18n.t(key, params, fallback);
+
+      return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+        params && params[name] !== undefined ? params[name] : match
+      ));
+    }
+
+    function getMonths(period) {
+      const button = buttons.find(btn => btn.getAttribute('data-period') === period);
+      const declared = button ? button.getAttribute('data-months') : null;
+
+      if (declared !== null && declared !== '') return Number(declared) || 0;
+      return billingPeriodMonths[period] || 0;
+    }
+
+    // Price of a card for a period, in the visitor's currency
+    function getPrice(amountEl, period) {
+      const basePrice = amountEl.getAttribute(`data-${period}`);
+      if (basePrice === null) return null;
+
+      const currency = window.ThemeCurrency;
+      const planEl = amountEl.closest('[data-plan]');
+      const plan = planEl ? planEl.getAttribute('data-plan') : null;
+
+      return currency ? currency.getPrice(basePrice, plan, period) : Number(basePrice);
+    }
+
+    function formatMoney(value) {
+      const i18n = window.ThemeI18n;
+      const currency = window.ThemeCurrency;
+      if (!i18n) return String(Math.round(value));
+
+      return i18n.formatCurrency(value, currency ? currency.getCurrency() : undefined);
+    }
+
+    function formatPercent(value) {
+      const i18n = window.ThemeI18n;
+      return i18n ? i18n.formatNumber(value, { style: 'percent' }) : `${Math.round(value * 100)}%`;
+    }
+
+    function renderCard(card) {
+      const amountEl = card.querySelector('.price-amount');
+      if (!amountEl) return;
+
+      const price = amountEl.getAttribute(`data-${currentPeriod}`);
+      if (price === null) return;
+
+      // data-price is the base (EGP) amount; ThemeCurrency converts it
+      amountEl.setAttribute('data-price', price);
+      amountEl.setAttribute('data-period', currentPeriod);
+      amountEl.setAttribute('data-value', price);
+      if (window.ThemeCurrency) {
+        window.ThemeCurrency.render(amountEl);
+      } else if (window.ThemeI18n) {
+        window.ThemeI18n.formatElements(amountEl);
+      } else {
+        amountEl.textContent = price;
+      }
+
+      const periodEl = card.querySelector('.price-period');
+      if (periodEl) {
+        const key = `pricing.per.${currentPeriod}`;
+        periodEl.setAttribute('data-i18n', key);
+        periodEl.textContent = translate(key, periodEl.textContent);
+      }
+
+      const months = getMonths(currentPeriod);
+      const listPrice = getPrice(amountEl, currentPeriod);
+      const monthlyPrice = getPrice(amountEl, 'monthly');
+
+      // An applied promo code shows as the discounted amount next to the
+      // struck-through list price, on the cards it applies to
+      const promo = window.ThemePromo;
+      const discount = promo ? promo.getDiscount(listPrice, {
+        plan: card.getAttribute('data-plan'),
+        period: currentPeriod,
+        currency: window.ThemeCurrency ? window.ThemeCurrency.getCurrency() : undefined,
+      }) : 0;
+      const periodPrice = listPrice - discount;
+
+      if (discount) {
+        amountEl.setAttribute('data-value', periodPrice);
+        if (window.ThemeI18n) {
+          window.ThemeI18n.formatElements(amountEl);
         } else {
-          // Close other modules (optional - remove if you want multiple open)
-          moduleCards.forEach((otherCard, otherIndex) => {
-            if (otherIndex !== index && otherCard.classList.contains('active')) {
-              otherCard.classList.remove('active');
-              const otherToggleIcon = otherCard.querySelector('.toggle-icon');
-              if (otherToggleIcon) otherToggleIcon.textContent = '+';
-            }
-          });
+          amountEl.textContent = periodPrice;
+        }
+      }
+
+      const originalEl = card.querySelector('.price-original');
+      if (originalEl) {
+        originalEl.hidden = !discount;
+        originalEl.textContent = discount ? formatMoney(listPrice) : '';
+      }
+
+      // "Save 17%" against paying month by month for the same time
+      const savingsEl = card.querySelector('.price-savings');
+      if (savingsEl) {
+        const fullPrice = monthlyPrice * months;
+        const savings = months > 1 && monthlyPrice ? Math.round((1 - listPrice / fullPrice) * 100) / 100 : 0;
 
-          // Open clicked module
-          card.classList.add('active');
-          if (toggleIcon) toggleIcon.textContent = '−';
+        savingsEl.hidden = savings <= 0;
+        if (savings > 0) {
+          savingsEl.textContent = translate('pricing.save', 'Save {percent}', { percent: formatPercent(savings) });
         }
-      });
-    });
+      }
 
-    // Also handle toggle button click (prevent double toggle)
-    moduleToggles.forEach((toggle, index) => {
-      toggle.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const card = moduleCards[index];
-        const isActive = card.classList.contains('active');
-        const toggleIcon = card.querySelector('.toggle-icon');
-
-        if (isActive) {
-          card.classList.remove('active');
-          if (toggleIcon) toggleIcon.textContent = '+';
-        } else {
-          // Close other modules
-          moduleCards.forEach((otherCard, otherIndex) => {
-            if (otherIndex !== index && otherCard.classList.contains('active')) {
-              otherCard.classList.remove('active');
-              const otherToggleIcon = otherCard.querySelector('.toggle-icon');
-              if (otherToggleIcon) otherToggleIcon.textContent = '+';
-            }
+      const equivalentEl = card.querySelector('.price-equivalent');
+      if (equivalentEl) {
+        equivalentEl.hidden = months <= 1;
+        if (months > 1) {
+          equivalentEl.textContent = translate('pricing.perMonthEquivalent', '{price} per month', {
+            price: formatMoney(periodPrice / months),
           });
-
-          card.classList.add('active');
-          if (toggleIcon) toggleIcon.textContent = '−';
         }
+      }
+    }
+
+    function render() {
+      buttons.forEach(button => {
+        const isActive = button.getAttribute('data-period') === currentPeriod;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+      });
+
+      cards.forEach(renderCard);
+    }
+
+    function getHashPeriod() {
+      const hash = window.location.hash;
+      if (hash.indexOf(hashPrefix) !== 0) return null;
+
+      const period = hash.slice(hashPrefix.length);
+      return periods.indexOf(period) !== -1 ? period : null;
+    }
+
+    function selectPeriod(period, updateHash) {
+      if (periods.indexOf(period) === -1) return;
+
+      const changed = period !== currentPeriod;
+      currentPeriod = period;
+      render();
+
+      // Keep the choice in the URL so it can be shared (#pricing-yearly)
+      if (updateHash && window.location.hash !== hashPrefix + period) {
+        history.replaceState(null, '', hashPrefix + period);
+      }
+
+      if (changed) {
+        document.dispatchEvent(new CustomEvent('billing:change', {
+          detail: { period, months: getMonths(period) },
+        }));
+      }
+    }
+
+    buttons.forEach(button => {
+      button.addEventListener('click', () => {
+        const period = button.getAttribute('data-period');
+        if (period !== currentPeriod) publish('pricing_period_change', { period, months: getMonths(period) });
+        selectPeriod(period, true);
       });
     });
+
+    window.addEventListener('hashchange', () => {
+      const period = getHashPeriod();
+      if (!period) return;
+
+      selectPeriod(period, false);
+      section.scrollIntoView({ behavior: 'smooth' });
+    });
+
+    // Labels, savings and per-month amounts are generated text
+    document.addEventListener('i18n:change', render);
+    document.addEventListener('currency:change', render);
+    document.addEventListener('promo:change', render);
+
+    // Initial period: campaign deep link, then whichever button the markup marks active
+    const hashPeriod = getHashPeriod();
+    const activeButton = buttons.find(button => button.classList.contains('active'));
+    const initialPeriod = hashPeriod || (activeButton ? activeButton.getAttribute('data-period') : periods[0]);
+
+    selectPeriod(initialPeriod, false);
+    if (hashPeriod) section.scrollIntoView();
   }
 
   // ============================================
-  // Show More Button
+  // Plan Links
   // ============================================
-  function initShowMore() {
-    const showMoreBtn = document.querySelector('.show-more-btn');
-    
-    if (!showMoreBtn) return;
+  // Anything marked data-pricing-plan="<plan>" (e.g. the locked-lesson offer
+  // in the video modal) brings that pricing card into view and highlights it
+  function initPlanLinks() {
+    const spotlightClass = 'pricing-card-spotlight';
+    let timer = null;
+
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-pricing-plan]');
+      const plan = link ? link.getAttribute('data-pricing-plan') : '';
+      const card = plan ? document.querySelector(`.pricing-card[data-plan="${plan}"]`) : null;
+      if (!card) return;
+
+      e.preventDefault();
+      publish('plan_view', { plan, source: link.closest('.video-gate') ? 'video-gate' : 'link' });
+      document.querySelectorAll(`.${spotlightClass}`).forEach(el => el.classList.remove(spotlightClass));
+      card.classList.add(spotlightClass);
+      card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+      const button = card.querySelector('.pricing-card-btn');
+      if (button) button.focus({ preventScroll: true });
 
-    showMoreBtn.addEventListener('click', () => {
-      // You can add functionality here to load more modules
-      // For now, we'll just scroll to show more content or trigger an action
-      console.log('Show more clicked');
-      // Example: Scroll to next section or load more modules via AJAX
+      clearTimeout(timer);
+      timer = setTimeout(() => card.classList.remove(spotlightClass), 2500);
     });
   }
 
   // ============================================
-  // Pricing Toggle (Monthly/Yearly)
+  // Currency Selector
   // ============================================
-  function initPricingToggle() {
-    const toggleMonthly = document.getElementById('pricingToggleMonthly');
-    const toggleYearly = document.getElementById('pricingToggleYearly');
-    const priceAmounts = document.querySelectorAll('.price-amount');
-    
-    if (!toggleMonthly || !toggleYearly || !priceAmounts.length) return;
+  function initCurrencySelector() {
+    const selects = document.querySelectorAll('[data-currency-select]');
+    const currency = window.ThemeCurrency;
 
-    // Set initial state - Arabic defaults to yearly, English to monthly
-    const isRTL = document.documentElement.getAttribute('dir') === 'rtl';
-    const defaultPeriod = isRTL ? 'yearly' : 'monthly';
-    
-    if (defaultPeriod === 'yearly') {
-      toggleYearly.classList.add('active');
-      toggleMonthly.classList.remove('active');
-      updatePrices('yearly');
-    } else {
-      toggleMonthly.classList.add('active');
-      toggleYearly.classList.remove('active');
-      updatePrices('monthly');
+    if (!selects.length || !currency) return;
+
+    function syncSelects() {
+      selects.forEach(select => {
+        select.value = currency.getCurrency();
+      });
     }
 
-    function updatePrices(period) {
-      priceAmounts.forEach(amountEl => {
-        const monthlyPrice = amountEl.getAttribute('data-monthly');
-        const yearlyPrice = amountEl.getAttribute('data-yearly');
-        
-        if (period === 'monthly') {
-          amountEl.textContent = monthlyPrice;
-        } else {
-          amountEl.textContent = yearlyPrice;
-        }
+    function buildOptions() {
+      const codes = currency.getCurrencies();
+
+      selects.forEach(select => {
+        select.innerHTML = '';
+        codes.forEach(code => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.textContent = code;
+          select.appendChild(option);
+        });
+
+        // Nothing to choose from until rates are available
+        select.hidden = codes.length < 2;
       });
+
+      syncSelects();
     }
 
-    toggleMonthly.addEventListener('click', () => {
-      if (!toggleMonthly.classList.contains('active')) {
-        toggleMonthly.classList.add('active');
-        toggleYearly.classList.remove('active');
-        updatePrices('monthly');
-      }
+    selects.forEach(select => {
+      select.addEventListener('change', () => {
+        currency.setCurrency(select.value).catch(error => {
+          console.error('Could not switch currency:', error);
+          syncSelects();
+        });
+      });
     });
 
-    toggleYearly.addEventListener('click', () => {
-      if (!toggleYearly.classList.contains('active')) {
-        toggleYearly.classList.add('active');
-        toggleMonthly.classList.remove('active');
-        updatePrices('yearly');
-      }
-    });
+    // Every selector (pricing + checkout) follows the shared choice
+    document.addEventListener('currency:change', syncSelects);
+
+    currency.load()
+      .then(buildOptions)
+      .catch(() => buildOptions());
   }
 
   // ============================================
@@ -548,75 +812,95 @@
   // FAQ Accordion
   // ============================================
   function initFAQ() {
-    const faqItems = document.querySelectorAll('.faq-item');
-    const faqQuestions = document.querySelectorAll('.faq-question');
+    const faqList = document.querySelector('.faq-items');
 
-    if (!faqItems.length || !faqQuestions.length) return;
+    if (!faqList || !window.ThemeAccordion) return;
 
-    // Handle FAQ toggle
-    faqQuestions.forEach((question, index) => {
-      question.addEventListener('click', (e) => {
-        e.preventDefault();
-        const faqItem = question.closest('.faq-item');
-        const isActive = faqItem.classList.contains('active');
-
-        // Close all FAQ items
-        faqItems.forEach((item) => {
-          item.classList.remove('active');
-          const q = item.querySelector('.faq-question');
-          if (q) q.setAttribute('aria-expanded', 'false');
-        });
+    window.ThemeAccordion.create(faqList, {
+      item: '.faq-item',
+      trigger: '.faq-question',
+      panel: '.faq-answer',
+      idPrefix: 'faq',
+      // #faq-<slug> opens that question
+      hash: true,
+    });
+
+    function translate(key, fallback) {
+      return window.ThemeI18n ? window.ThemeI18n.t(key, null, fallback) : fallback;
+    }
+
+    // Clipboard API where available (secure contexts), execCommand otherwise
+    function copyText(text) {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        return navigator.clipboard.writeText(text);
+      }
+
+      return new Promise((resolve, reject) => {
+        const field = document.createElement('textarea');
+        field.value = text;
+        field.setAttribute('readonly', '');
+        field.style.position = 'fixed';
+        field.style.opacity = '0';
+        document.body.appendChild(field);
+        field.select();
 
-        // If clicking on an inactive item, open it
-        if (!isActive) {
-          faqItem.classList.add('active');
-          question.setAttribute('aria-expanded', 'true');
+        const copied = typeof document.execCommand === 'function' && document.execCommand('copy');
+        field.remove();
+
+        if (copied) {
+          resolve();
+        } else {
+          reject(new Error('Copy command was not allowed'));
         }
       });
-    });
-  }
+    }
 
-  // ============================================
-  // Contact Form Handler
-  // ============================================
-  function initContactForm() {
-    const contactForm = document.getElementById('contactForm');
-    
-    if (!contactForm) return;
+    // "Copy link" under each answer; the label briefly confirms the copy
+    function addCopyLink(item) {
+      const answer = item.querySelector('.faq-answer');
+      if (!answer) return;
 
-    contactForm.addEventListener('submit', (e) => {
-      e.preventDefault();
-      
-      // Get form data
-      const formData = new FormData(contactForm);
-      const data = {
-        name: formData.get('name'),
-        email: formData.get('email'),
-        phone: formData.get('phone'),
-        message: formData.get('message')
-      };
-
-      // Basic validation
-      if (!data.name || !data.email || !data.phone || !data.message) {
-        alert('Please fill in all fields');
-        return;
-      }
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'faq-copy-link';
+      let resetTimer = null;
 
-      // Email validation
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(data.email)) {
-        alert('Please enter a valid email address');
-        return;
+      function setLabel(key, fallback) {
+        button.setAttribute('data-i18n', key);
+        button.textContent = translate(key, fallback);
       }
 
-      // Here you would typically send the data to a server
-      console.log('Form submitted:', data);
-      
-      // Show success message (you can customize this)
-      alert('Thank you! Your message has been sent successfully.');
-      
-      // Reset form
-      contactForm.reset();
+      button.addEventListener('click', () => {
+        copyText(window.ThemeAccordion.getLink(item))
+          .then(() => {
+            setLabel('faq.linkCopied', 'Link copied');
+            button.classList.add('copied');
+          })
+          .catch(error => {
+            console.warn('Could not copy the FAQ link:', error);
+            setLabel('faq.copyFailed', 'Copy failed');
+          })
+          .then(() => {
+            clearTimeout(resetTimer);
+            resetTimer = setTimeout(() => {
+              setLabel('faq.copyLink', 'Copy link');
+              button.classList.remove('copied');
+            }, 2000);
+          });
+      });
+
+      setLabel('faq.copyLink', 'Copy link');
+      answer.appendChild(button);
+    }
+
+    faqList.querySelectorAll('.faq-item[id]').forEach(addCopyLink);
+
+    faqList.addEventListener('accordion:open', (e) => {
+      const question = e.detail.item.querySelector('.faq-question-text');
+      publish('faq_open', {
+        id: e.detail.item.id,
+        question: question ? question.textContent.trim() : '',
+      });
     });
   }
 
@@ -635,11 +919,11 @@
     initLanguageDropdown();
     initVideoPlayer();
     initCourseModules();
-    initShowMore();
-    initPricingToggle();
+    initBillingPeriods();
+    initPlanLinks();
+    initCurrencySelector();
     initCircularTestimonials();
     initFAQ();
-    initContactForm();
     initLatestCourses();
     initCheckout();
   }
@@ -668,17 +952,153 @@
 
   // Checkout Section
   function initCheckout() {
-    const paymentCards = document.querySelectorAll('.checkout-payment-card');
-    
-    // Payment method selection
-    paymentCards.forEach(card => {
-      card.addEventListener('click', function() {
-        // Remove active class from all cards
-        paymentCards.forEach(c => c.classList.remove('checkout-payment-active'));
-        // Add active class to clicked card
-        this.classList.add('checkout-payment-active');
+    // Payment tiles, validation and submission live in checkout.js
+    // (ThemeCheckout); this wires the pricing cards into it.
+    initCheckoutPlan();
+  }
+
+  // ============================================
+  // Checkout Plan (from the pricing "Get Started" buttons)
+  // ============================================
+  // The chosen plan/period is kept in sessionStorage so it outlives a
+  // language switch that has to load the other pre-rendered page.
+  function initCheckoutPlan() {
+    const section = document.querySelector('.checkout-section');
+    const planButtons = document.querySelectorAll('.pricing-card-btn');
+    const storageKey = 'checkoutSelection';
+
+    if (!section || !planButtons.length) return;
+
+    const title = section.querySelector('.checkout-course-title');
+    // The total (and any promo discount) is derived from this by ThemeCheckout
+    const priceEls = section.querySelectorAll('.checkout-price-value');
+    const summary = section.querySelector('.checkout-summary');
+    let selection = null;
+
+    function translate(key, fallback, params) {
+      const i18n = window.ThemeI18n;
+      if (i18n) return i18n.t(key, params, fallback);
+
+      return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+        params && params[name] !== undefined ? params[name] : match
+      ));
+    }
+
+    function getPlanCard(plan) {
+      return document.querySelector(`.pricing-card[data-plan="${plan}"]`);
+    }
+
+    // Base (EGP) price of a plan for a period, as declared on its card
+    function getBasePrice(plan, period) {
+      const card = getPlanCard(plan);
+      const amountEl = card ? card.querySelector('.price-amount') : null;
+      return amountEl ? amountEl.getAttribute(`data-${period}`) : null;
+    }
+
+    function renderText() {
+      if (!selection) return;
+
+      const card = getPlanCard(selection.plan);
+      const titleEl = card ? card.querySelector('.pricing-card-title') : null;
+      const planName = translate(`pricing.plans.${selection.plan}.title`, titleEl ? titleEl.textContent : selection.plan);
+      const periodName = translate(`pricing.${selection.period}`, selection.period);
+
+      if (title) {
+        title.textContent = translate('checkout.planTitle', '{plan} – {period}', {
+          plan: planName,
+          period: periodName,
+        });
+      }
+
+      if (summary) {
+        summary.querySelector('.checkout-summary-plan').textContent = planName;
+        summary.querySelector('.checkout-summary-period').textContent = periodName;
+        summary.hidden = false;
+      }
+    }
+
+    function render() {
+      const price = getBasePrice(selection.plan, selection.period);
+
+      // Plan table prices (ThemeCurrency) are looked up through data-plan
+      section.setAttribute('data-plan', selection.plan);
+      priceEls.forEach(el => {
+        el.setAttribute('data-price', price);
+        el.setAttribute('data-period', selection.period);
+        el.setAttribute('data-value', price);
+      });
+
+      if (window.ThemeCurrency) {
+        window.ThemeCurrency.render(section);
+      } else if (window.ThemeI18n) {
+        window.ThemeI18n.formatElements(section);
+      } else {
+        priceEls.forEach(el => {
+          el.textContent = price;
+        });
+      }
+
+      // The course title is now generated – stop ThemeI18n from restoring it
+      if (title) title.removeAttribute('data-i18n');
+      renderText();
+    }
+
+    function selectPlan(plan, period) {
+      if (getBasePrice(plan, period) === null) return false;
+
+      selection = { plan, period };
+      sessionStorage.setItem(storageKey, JSON.stringify(selection));
+      render();
+
+      document.dispatchEvent(new CustomEvent('checkout:plan', {
+        detail: { plan, period },
+      }));
+      return true;
+    }
+
+    planButtons.forEach(button => {
+      button.addEventListener('click', (e) => {
+        const card = button.closest('.pricing-card');
+        const amountEl = card ? card.querySelector('.price-amount') : null;
+        const plan = card ? card.getAttribute('data-plan') : null;
+        const period = amountEl ? amountEl.getAttribute('data-period') : null;
+
+        if (!plan || !period) return;
+
+        e.preventDefault();
+        publish('plan_select', { plan, period, source: 'pricing' });
+        if (selectPlan(plan, period)) {
+          section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
       });
     });
+
+    // Links elsewhere that go straight to checkout for a plan
+    // (data-checkout-plan="<plan>", e.g. "Unlock full course" in the video modal)
+    document.addEventListener('click', (e) => {
+      const link = e.target.closest('[data-checkout-plan]');
+      const plan = link ? link.getAttribute('data-checkout-plan') : '';
+      const card = plan ? getPlanCard(plan) : null;
+      const amountEl = card ? card.querySelector('.price-amount') : null;
+      if (!amountEl) return;
+
+      // At the billing period the card is showing
+      const period = amountEl.getAttribute('data-period');
+      e.preventDefault();
+      publish('plan_select', { plan, period, source: link.closest('.video-gate') ? 'video-gate' : 'link' });
+      selectPlan(plan, period);
+      section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+
+    document.addEventListener('i18n:change', renderText);
+
+    // Restore a selection made before a language switch
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(storageKey));
+      if (stored && stored.plan && stored.period) selectPlan(stored.plan, stored.period);
+    } catch (e) {
+      sessionStorage.removeItem(storageKey);
+    }
   }
 
   // Start initialization
@@ -0,0 +1,155 @@
+/**
+ * Theme Video Analytics – Playback Engagement
+ * Follows the player's video:* events and publishes opens, plays, pauses,
+ * quartiles, completions and watch time – tagged with the video, section
+ * and trigger – as video_* events on ThemeAnalytics
+ */
+
+(function () {
+  'use strict';
+
+  const analytics = window.ThemeAnalytics;
+  if (!analytics) return;
+
+  const config = {
+    quartiles: [25, 50, 75],
+    // A bigger jump between two position updates is a seek, not watching (s)
+    maxStep: 2,
+    // Where a trigger sits; a data-video-section ancestor overrides these
+    sections: [
+      ['.video-testimonials-section', 'testimonials'],
+      ['.latest-courses-section', 'latest-courses'],
+      ['.checkout-section', 'checkout'],
+      ['.theme-content', 'hero'],
+    ],
+  };
+
+  // Carried by every video_* event, next to the extras below
+  const fields = ['videoId', 'videoUrl', 'provider', 'preview', 'view', 'section', 'trigger', 'position', 'duration', 'watchTime'];
+  const extras = {
+    video_open: [],
+    video_play: [],
+    video_pause: [],
+    video_progress: ['percent'],
+    video_complete: ['percent'],
+    video_gate: ['gate'],
+    video_close: [],
+  };
+
+  Object.keys(extras).forEach(name => {
+    analytics.defineEvent(name, fields.concat(extras[name]));
+  });
+
+  // Per opened video (detail.view): { watched, last, playing, quartiles, completed }
+  const views = {};
+
+  /* ================= EVENTS ================= */
+  function getSection(trigger) {
+    if (!trigger) return '';
+
+    const tagged = trigger.closest('[data-video-section]');
+    if (tagged) return tagged.getAttribute('data-video-section');
+
+    const match = config.sections.find(([selector]) => trigger.closest(selector));
+    return match ? match[1] : '';
+  }
+
+  // The button's id, else its most specific (last) class
+  function getTriggerName(trigger) {
+    if (!trigger) return '';
+    return trigger.id || Array.from(trigger.classList).pop() || trigger.tagName.toLowerCase();
+  }
+
+  function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round((Number(value) || 0) * factor) / factor;
+  }
+
+  function track(name, detail, extra) {
+    const view = views[detail.view];
+
+    return analytics.publish(name, {
+      videoId: detail.id,
+      videoUrl: detail.source ? detail.source.src : (detail.sources[0] || {}).src || '',
+      provider: detail.kind || '',
+      preview: Boolean(detail.gate),
+      view: detail.view,
+      section: getSection(detail.trigger),
+      trigger: getTriggerName(detail.trigger),
+      position: round(detail.time, 0),
+      duration: round(detail.duration, 0),
+      watchTime: view ? round(view.watched, 1) : 0,
+      ...extra,
+    });
+  }
+
+  /* ================= WATCH TIME ================= */
+  // Only steady forward movement counts – seeks and scrubbing don't
+  function account(view, time) {
+    if (view.playing && view.last !== null) {
+      const step = time - view.last;
+      if (step > 0 && step <= config.maxStep) view.watched += step;
+    }
+    view.last = time;
+  }
+
+  function checkQuartiles(view, detail) {
+    if (!detail.duration) return;
+
+    const percent = (detail.time / detail.duration) * 100;
+    config.quartiles.forEach(quartile => {
+      if (percent < quartile || view.quartiles.indexOf(quartile) !== -1) return;
+      view.quartiles.push(quartile);
+      track('video_progress', detail, { percent: quartile });
+    });
+  }
+
+  const handlers = {
+    load(detail) {
+      views[detail.view] = { watched: 0, last: null, playing: false, quartiles: [], completed: false };
+      track('video_open', detail);
+    },
+    play(detail, view) {
+      view.playing = true;
+      view.last = detail.time;
+      track('video_play', detail);
+    },
+    progress(detail, view) {
+      account(view, detail.time);
+      checkQuartiles(view, detail);
+    },
+    pause(detail, view) {
+      account(view, detail.time);
+      view.playing = false;
+      // Browsers pause right before "ended" – that one isn't the visitor's
+      const atEnd = detail.duration && detail.time >= detail.duration - 0.5;
+      if (!atEnd) track('video_pause', detail);
+    },
+    ended(detail, view) {
+      account(view, detail.time);
+      view.playing = false;
+      checkQuartiles(view, detail);
+      if (view.completed) return;
+      view.completed = true;
+      track('video_complete', detail, { percent: 100 });
+    },
+    gate(detail) {
+      track('video_gate', detail, { gate: detail.state });
+    },
+    unload(detail, view) {
+      account(view, detail.time);
+      view.playing = false;
+      track('video_close', detail);
+      delete views[detail.view];
+    },
+  };
+
+  Object.keys(handlers).forEach(type => {
+    document.addEventListener(`video:${type}`, (e) => {
+      const detail = e.detail;
+      if (!detail || !detail.view) return;
+      if (type !== 'load' && !views[detail.view]) return;
+      handlers[type](detail, views[detail.view]);
+    });
+  });
+})();
@@ -0,0 +1,648 @@
+/**
+ * Theme Video Player – Modal Playback
+ * Sources and quality variants, WebVTT captions per language, playback speed,
+ * resume from the last position and keyboard shortcuts – for files and HLS in
+ * the <video> as well as YouTube and Vimeo embeds (see video-sources.js).
+ * Locked lessons play a teaser or a timed preview, then offer the full course
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    progressKey: 'videoProgress',
+    preferencesKey: 'videoPreferences',
+    speeds: [0.5, 0.75, 1, 1.25, 1.5, 2],
+    // Positions closer than this to the start or the end aren't worth resuming (s)
+    resumeMin: 5,
+    resumeEndMargin: 10,
+    // How often progress is written while playing (ms)
+    saveInterval: 5000,
+    // Videos remembered; the oldest positions are dropped first
+    maxProgress: 30,
+    seekStep: 5,
+    volumeStep: 0.1,
+    noticeDuration: 6000,
+    // Plan a locked lesson points to without data-video-plan: the one picked
+    // for checkout, else the featured card, else the first card
+    gatePlans: ['.checkout-section[data-plan]', '.pricing-card-featured[data-plan]', '.pricing-card[data-plan]'],
+  };
+
+  // Tells one opening of a video from the next (across players), for
+  // whoever listens to the video:* events
+  let views = 0;
+
+  function translate(key, fallback, params) {
+    if (window.ThemeI18n) return window.ThemeI18n.t(key, params, fallback);
+
+    return fallback.replace(/\{(\w+)\}/g, (match, name) => (
+      params && params[name] !== undefined ? params[name] : match
+    ));
+  }
+
+  function getLocale() {
+    return window.ThemeI18n ? window.ThemeI18n.getLocale() : document.documentElement.lang;
+  }
+
+  function formatNumber(value) {
+    return window.ThemeI18n ? window.ThemeI18n.formatNumber(value) : String(value);
+  }
+
+  // 83 -> "1:23", 3723 -> "1:02:03"
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  /* ================= STORAGE ================= */
+  function readJSON(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  function writeJSON(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (error) {
+      console.warn(`Could not save ${key}:`, error);
+    }
+  }
+
+  // localStorage: { [videoId]: { time, duration, savedAt } }
+  function getProgress(id) {
+    return readJSON(config.progressKey, {})[id] || null;
+  }
+
+  function saveProgress(id, time, duration) {
+    const progress = readJSON(config.progressKey, {});
+    progress[id] = { time: Math.floor(time), duration: Math.floor(duration), savedAt: Date.now() };
+
+    const ids = Object.keys(progress).sort((a, b) => progress[b].savedAt - progress[a].savedAt);
+    ids.slice(config.maxProgress).forEach(old => delete progress[old]);
+
+    writeJSON(config.progressKey, progress);
+  }
+
+  function clearProgress(id) {
+    const progress = readJSON(config.progressKey, {});
+    if (!progress[id]) return;
+    delete progress[id];
+    writeJSON(config.progressKey, progress);
+  }
+
+  // localStorage: { speed, quality, captions } – the visitor's last choices
+  function getPreferences() {
+    return readJSON(config.preferencesKey, {});
+  }
+
+  function setPreference(name, value) {
+    writeJSON(config.preferencesKey, { ...getPreferences(), [name]: value });
+  }
+
+  /* ================= TRIGGER OPTIONS ================= */
+  function parseList(trigger, attr) {
+    const value = trigger.getAttribute(attr);
+    if (!value) return [];
+
+    try {
+      const list = JSON.parse(value);
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      console.warn(`Invalid ${attr} on`, trigger, error);
+      return [];
+    }
+  }
+
+  // Reads a play button:
+  //   data-video-url       single source (still the simplest case): a file,
+  //                        an .m3u8 playlist, or a YouTube / Vimeo page URL
+  //   data-video-sources   [{ "src", "type", "label": "720p" }] – variants
+  //                        sharing a label are format alternatives
+  //   data-video-captions  [{ "src": "….vtt", "lang": "en", "label": "English" }]
+  //   data-video-poster    still shown before playback starts
+  //   data-video-id        key for the resume position (defaults to the URL)
+  //   data-video-access    "free" (default) or "locked"; a locked lesson plays
+  //                        data-video-teaser instead, and/or stops after
+  //                        data-video-preview seconds, then offers the plan in
+  //                        data-video-plan – with neither it offers it at once
+  function getOptions(trigger) {
+    const url = trigger.getAttribute('data-video-url');
+    let sources = parseList(trigger, 'data-video-sources').filter(source => source && source.src);
+    if (!sources.length && url) sources = [{ src: url }];
+
+    const locked = trigger.getAttribute('data-video-access') === 'locked';
+
+    return {
+      id: trigger.getAttribute('data-video-id') || url || (sources[0] && sources[0].src) || '',
+      trigger,
+      sources,
+      captions: parseList(trigger, 'data-video-captions').filter(track => track && track.src && track.lang),
+      poster: trigger.getAttribute('data-video-poster') || '',
+      gate: locked ? {
+        teaser: trigger.getAttribute('data-video-teaser') || '',
+        preview: Number(trigger.getAttribute('data-video-preview')) || 0,
+        plan: trigger.getAttribute('data-video-plan') || '',
+      } : null,
+    };
+  }
+
+  function getGatePlan(gate) {
+    if (gate.plan) return gate.plan;
+
+    for (let i = 0; i < config.gatePlans.length; i += 1) {
+      const el = document.querySelector(config.gatePlans[i]);
+      if (el) return el.getAttribute('data-plan');
+    }
+    return '';
+  }
+
+  function getPlanName(plan) {
+    const title = document.querySelector(`.pricing-card[data-plan="${plan}"] .pricing-card-title`);
+    return translate(`pricing.plans.${plan}.title`, title ? title.textContent.trim() : plan);
+  }
+
+  /* ================= GATE ================= */
+  // Preview badge plus the "unlock" overlay, laid over the video. The links
+  // only carry the plan (data-pricing-plan / data-checkout-plan) – the page
+  // decides what following them does.
+  function createGate(parent) {
+    const bar = document.createElement('p');
+    bar.className = 'video-gate-badge';
+    bar.hidden = true;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'video-gate';
+    overlay.hidden = true;
+    overlay.innerHTML = `
+      <div class="video-gate-panel" role="group">
+        <p class="video-gate-title"></p>
+        <p class="video-gate-text"></p>
+        <div class="video-gate-actions">
+          <a href="#checkout" class="video-gate-action video-gate-unlock" data-checkout-plan=""></a>
+          <button type="button" class="video-gate-action video-gate-plan" data-pricing-plan=""></button>
+        </div>
+      </div>`;
+
+    parent.appendChild(bar);
+    parent.appendChild(overlay);
+
+    return {
+      bar,
+      overlay,
+      title: overlay.querySelector('.video-gate-title'),
+      text: overlay.querySelector('.video-gate-text'),
+      unlock: overlay.querySelector('.video-gate-unlock'),
+      plan: overlay.querySelector('.video-gate-plan'),
+    };
+  }
+
+  /* ================= PLAYER ================= */
+  // create(video, { container }) -> { load, unload, getCurrent }
+  //   container  element holding the [data-video-control] selects and the
+  //              .video-resume notice; shortcuts work while focus is inside
+  // Dispatches video:load, video:play, video:pause, video:progress (position
+  // updates), video:ended, video:gate and video:unload on the container
+  // (bubbling), detail: getCurrent() plus { time, duration }.
+  // Returns null without video-sources.js
+  function create(video, settings = {}) {
+    const sources = window.ThemeVideoSources;
+    if (!sources) {
+      console.warn('ThemeVideoPlayer needs ThemeVideoSources (video-sources.js)');
+      return null;
+    }
+
+    const container = settings.container || video.parentNode;
+    const speedSelect = container.querySelector('[data-video-control="speed"]');
+    const qualitySelect = container.querySelector('[data-video-control="quality"]');
+    const captionsSelect = container.querySelector('[data-video-control="captions"]');
+    const notice = container.querySelector('.video-resume');
+    const gateEls = createGate(video.parentNode);
+
+    let current = null;
+    // The engine playing current.source (see ThemeVideoSources.open)
+    let media = null;
+    let tried = [];
+    let lastSave = 0;
+    let noticeTimer = null;
+    // null, 'locked' (nothing to preview) or 'ended' (preview over)
+    let gateState = null;
+
+    function getControl(select) {
+      return select ? select.closest('.video-control') || select : null;
+    }
+
+    /* ----- Sources ----- */
+    function getPlayable() {
+      if (!current) return [];
+      return current.sources.filter(source => sources.canPlay(source, video));
+    }
+
+    function getQualities() {
+      const labels = [];
+      getPlayable().forEach(source => {
+        if (source.label && labels.indexOf(source.label) === -1) labels.push(source.label);
+      });
+      return labels;
+    }
+
+    function pickSource(quality) {
+      const playable = getPlayable().filter(source => tried.indexOf(source.src) === -1);
+      return playable.find(source => source.label === quality) || playable[0] || null;
+    }
+
+    function getSpeed() {
+      return Number(speedSelect ? speedSelect.value : getPreferences().speed) || 1;
+    }
+
+    // Swaps the engine and carries on from the same spot
+    function setSource(source, startAt, autoplay) {
+      tried.push(source.src);
+      if (media) media.destroy();
+      current.source = source;
+
+      const next = sources.open(source, { video, startAt, autoplay, lang: getLocale() });
+      media = next;
+
+      // Events from an engine that has since been replaced are ignored
+      next.on('ready', () => {
+        if (next === media) next.setRate(getSpeed());
+      });
+      next.on('play', () => {
+        if (next !== media) return;
+        emit('play');
+        checkPreview();
+      });
+      next.on('timeupdate', () => {
+        if (next !== media) return;
+        emit('progress');
+        if (!checkPreview()) save(false);
+      });
+      next.on('pause', () => {
+        if (next !== media) return;
+        emit('pause');
+        save(true);
+      });
+      next.on('ended', () => {
+        if (next !== media || !current) return;
+        emit('ended');
+        if (current.gate) {
+          showGate('ended');
+        } else {
+          clearProgress(current.id);
+        }
+      });
+      // A broken variant falls back to the next playable one
+      next.on('error', (error) => {
+        if (next !== media || !current) return;
+
+        console.warn(`Video source failed: ${source.src}`, error);
+        const fallback = pickSource(source.label);
+        if (fallback) setSource(fallback, next.getTime() || startAt, true);
+      });
+    }
+
+    /* ----- Captions ----- */
+    function clearTracks() {
+      video.querySelectorAll('track').forEach(track => track.remove());
+    }
+
+    function addTracks() {
+      clearTracks();
+      current.captions.forEach(caption => {
+        const track = document.createElement('track');
+        track.kind = 'subtitles';
+        track.src = caption.src;
+        track.srclang = caption.lang;
+        track.label = caption.label || caption.lang;
+        video.appendChild(track);
+      });
+    }
+
+    // lang, or "off"
+    function showCaptions(lang) {
+      Array.from(video.textTracks || []).forEach(track => {
+        track.mode = track.language === lang ? 'showing' : 'disabled';
+      });
+      if (captionsSelect) captionsSelect.value = lang;
+    }
+
+    // The visitor's last pick when this video has it, else the page language
+    function getDefaultCaptions() {
+      const langs = current.captions.map(caption => caption.lang);
+      const preferred = getPreferences().captions;
+      if (preferred === 'off' || langs.indexOf(preferred) !== -1) return preferred;
+      return langs.indexOf(getLocale()) !== -1 ? getLocale() : 'off';
+    }
+
+    /* ----- Controls ----- */
+    function fillSelect(select, options, value) {
+      if (!select) return;
+      select.innerHTML = '';
+      options.forEach(option => {
+        const el = document.createElement('option');
+        el.value = option.value;
+        el.textContent = option.label;
+        select.appendChild(el);
+      });
+      select.value = value;
+    }
+
+    function renderControls() {
+      if (speedSelect) {
+        const speed = String(getPreferences().speed || 1);
+        fillSelect(speedSelect, config.speeds.map(value => ({
+          value: String(value),
+          label: `${formatNumber(value)}×`,
+        })), speed);
+      }
+
+      if (!current) return;
+
+      // Embeds bring their own quality and caption menus
+      const embedded = Boolean(media && media.embedded);
+      const qualities = getQualities();
+      const qualityControl = getControl(qualitySelect);
+      if (qualityControl) qualityControl.hidden = embedded || qualities.length < 2;
+      fillSelect(qualitySelect, qualities.map(label => ({ value: label, label })), current.source ? current.source.label || '' : '');
+
+      const captionsControl = getControl(captionsSelect);
+      if (captionsControl) captionsControl.hidden = embedded || !current.captions.length;
+      fillSelect(captionsSelect, [{ value: 'off', label: translate('videoModal.captionsOff', 'Off') }]
+        .concat(current.captions.map(caption => ({ value: caption.lang, label: caption.label || caption.lang }))), 'off');
+    }
+
+    /* ----- Resume ----- */
+    function hideNotice() {
+      clearTimeout(noticeTimer);
+      if (notice) notice.hidden = true;
+    }
+
+    function showNotice(time) {
+      if (!notice) return;
+
+      const text = notice.querySelector('.video-resume-text');
+      if (text) text.textContent = translate('videoModal.resumed', 'Resuming from {time}', { time: formatTime(time) });
+      notice.hidden = false;
+
+      clearTimeout(noticeTimer);
+      noticeTimer = setTimeout(hideNotice, config.noticeDuration);
+    }
+
+    function getResumeTime() {
+      const saved = getProgress(current.id);
+      if (!saved || saved.time < config.resumeMin) return 0;
+      if (saved.duration && saved.time > saved.duration - config.resumeEndMargin) return 0;
+      return saved.time;
+    }
+
+    // Previews never touch the saved position of the full lesson
+    function save(force) {
+      if (!current || current.gate || !media || !media.getTime() || !media.getDuration()) return;
+
+      const now = Date.now();
+      if (!force && now - lastSave < config.saveInterval) return;
+      lastSave = now;
+      saveProgress(current.id, media.getTime(), media.getDuration());
+    }
+
+    /* ----- Gate ----- */
+    function renderGate() {
+      const gate = current ? current.gate : null;
+      gateEls.bar.hidden = !gate || Boolean(gateState);
+      gateEls.overlay.hidden = !gateState;
+      if (!gate) return;
+
+      const plan = getGatePlan(gate);
+      const planName = getPlanName(plan);
+
+      gateEls.bar.textContent = translate('videoModal.gate.preview', 'Free preview');
+      gateEls.title.textContent = gateState === 'locked'
+        ? translate('videoModal.gate.lockedTitle', 'This lesson is part of the full course')
+        : translate('videoModal.gate.endedTitle', 'Your free preview has ended');
+      gateEls.text.textContent = translate('videoModal.gate.text', 'Subscribe to the {plan} to watch every lesson in full.', { plan: planName });
+      gateEls.unlock.textContent = translate('videoModal.gate.unlock', 'Unlock full course');
+      gateEls.unlock.setAttribute('data-checkout-plan', plan);
+      gateEls.plan.textContent = translate('videoModal.gate.seePlan', 'View {plan}', { plan: planName });
+      gateEls.plan.setAttribute('data-pricing-plan', plan);
+    }
+
+    function showGate(state) {
+      gateState = state;
+      if (media) media.pause();
+      hideNotice();
+      renderGate();
+      gateEls.unlock.focus();
+      emit('gate', { state });
+    }
+
+    // Stops a timed preview at its limit; true once it has
+    function checkPreview() {
+      const limit = current && current.gate ? current.gate.preview : 0;
+      if (!limit || !media || media.getTime() < limit) return false;
+
+      if (gateState !== 'ended') {
+        showGate('ended');
+      } else {
+        media.pause();
+      }
+      return true;
+    }
+
+    /* ----- Load / unload ----- */
+    // options: see getOptions(); returns false when there's nothing to play
+    function load(options) {
+      if (current) unload();
+
+      const gate = options.gate;
+      current = { ...options, source: null };
+      // The teaser stands in for the lesson (its captions don't fit it)
+      if (gate && gate.teaser) current = { ...current, sources: [{ src: gate.teaser }], captions: [] };
+      tried = [];
+      gateState = null;
+      views += 1;
+      current.view = `${Date.now().toString(36)}-${views}`;
+
+      video.poster = options.poster || '';
+
+      // Locked with nothing to preview: straight to the offer
+      if (gate && !gate.teaser && !gate.preview) {
+        clearTracks();
+        renderControls();
+        emit('load');
+        showGate('locked');
+        return true;
+      }
+
+      const source = pickSource(getPreferences().quality);
+      if (!source) {
+        console.error('No playable video source found for', options.id);
+        current = null;
+        return false;
+      }
+
+      addTracks();
+
+      const resumeAt = gate ? 0 : getResumeTime();
+      setSource(source, resumeAt, true);
+      emit('load', { time: resumeAt });
+      renderControls();
+      renderGate();
+      showCaptions(getDefaultCaptions());
+      if (resumeAt) showNotice(resumeAt);
+
+      return true;
+    }
+
+    function unload() {
+      if (!current) return;
+
+      save(true);
+      emit('unload');
+      if (media) media.destroy();
+      media = null;
+      hideNotice();
+      current = null;
+      gateState = null;
+      renderGate();
+    }
+
+    // { id, view, trigger, sources, captions, poster, gate, source, kind }
+    function getCurrent() {
+      return current ? { ...current, kind: media ? media.kind : null } : null;
+    }
+
+    function emit(type, extra) {
+      if (!current) return;
+
+      container.dispatchEvent(new CustomEvent(`video:${type}`, {
+        bubbles: true,
+        detail: {
+          ...getCurrent(),
+          time: media ? media.getTime() : 0,
+          duration: media ? media.getDuration() : 0,
+          ...extra,
+        },
+      }));
+    }
+
+    /* ----- Events ----- */
+    if (speedSelect) {
+      speedSelect.addEventListener('change', () => {
+        const speed = getSpeed();
+        if (media) media.setRate(speed);
+        setPreference('speed', speed);
+      });
+    }
+
+    if (qualitySelect) {
+      qualitySelect.addEventListener('change', () => {
+        if (!current) return;
+
+        tried = [];
+        const source = pickSource(qualitySelect.value);
+        if (!source || source === current.source) return;
+
+        setPreference('quality', qualitySelect.value);
+        setSource(source, media.getTime(), !media.isPaused());
+      });
+    }
+
+    if (captionsSelect) {
+      captionsSelect.addEventListener('change', () => {
+        setPreference('captions', captionsSelect.value);
+        showCaptions(captionsSelect.value);
+      });
+    }
+
+    if (notice) {
+      const restart = notice.querySelector('.video-resume-restart');
+      if (restart) {
+        restart.addEventListener('click', () => {
+          if (!media) return;
+          media.seek(0);
+          if (current) clearProgress(current.id);
+          hideNotice();
+          media.focus();
+        });
+      }
+    }
+
+    // Space / ←→ seek / ↑↓ volume / M mute / F fullscreen
+    container.addEventListener('keydown', (e) => {
+      if (!media || e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const target = e.target;
+      if (target.closest('select, input, textarea')) return;
+      // Buttons keep their own Space behaviour
+      if (e.key === ' ' && target.closest('button')) return;
+
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      let handled = true;
+
+      if (key === ' ' || key === 'k') {
+        if (media.isPaused()) {
+          media.play().catch(() => {});
+        } else {
+          media.pause();
+        }
+      } else if (key === 'ArrowLeft' || key === 'ArrowRight') {
+        // "Back" is towards the start of the timeline whatever the text direction
+        const step = key === 'ArrowRight' ? config.seekStep : -config.seekStep;
+        media.seek(Math.max(0, Math.min(media.getDuration() || Infinity, media.getTime() + step)));
+      } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+        const step = key === 'ArrowUp' ? config.volumeStep : -config.volumeStep;
+        const volume = Math.round(Math.max(0, Math.min(1, media.getVolume() + step)) * 10) / 10;
+        media.setVolume(volume);
+        media.setMuted(volume === 0);
+      } else if (key === 'm') {
+        media.setMuted(!media.isMuted());
+      } else if (key === 'f') {
+        toggleFullscreen();
+      } else {
+        handled = false;
+      }
+
+      if (handled) e.preventDefault();
+    });
+
+    function toggleFullscreen() {
+      // The box around the video, so an embed's iframe goes fullscreen too
+      const target = video.parentNode;
+      if (document.fullscreenElement) {
+        document.exitFullscreen().catch(() => {});
+      } else if (target.requestFullscreen) {
+        target.requestFullscreen().catch(error => {
+          console.warn('Fullscreen not available:', error);
+        });
+      } else if (!media.embedded && video.webkitEnterFullscreen) {
+        // iOS Safari only offers fullscreen on the video itself
+        video.webkitEnterFullscreen();
+      }
+    }
+
+    // Labels and the default caption language follow the page language
+    document.addEventListener('i18n:change', () => {
+      renderControls();
+      renderGate();
+      if (current) showCaptions(getDefaultCaptions());
+    });
+
+    window.addEventListener('pagehide', () => save(true));
+
+    renderControls();
+
+    return { load, unload, getCurrent };
+  }
+
+  window.ThemeVideoPlayer = {
+    create,
+    getOptions,
+    formatTime,
+  };
+})();
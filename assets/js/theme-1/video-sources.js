@@ -0,0 +1,508 @@
+/**
+ * Theme Video Sources – YouTube, Vimeo & HLS
+ * Works out what a video URL points at and plays it with the right engine:
+ * the <video> element, hls.js, or the YouTube / Vimeo iframe APIs – all
+ * behind the same media interface. Embed scripts load on first use only
+ */
+
+(function () {
+  'use strict';
+
+  const config = {
+    youtubeApi: 'https://www.youtube.com/iframe_api',
+    // Privacy-enhanced mode: no YouTube cookies until the video plays
+    youtubeHost: 'https://www.youtube-nocookie.com',
+    vimeoApi: 'https://player.vimeo.com/api/player.js',
+    // Only for browsers without native HLS (everything but Safari). Pinned to
+    // one release and checked against its hash – update both together.
+    hlsLibrary: 'https://cdn.jsdelivr.net/npm/hls.js@1.7.3/dist/hls.min.js',
+    hlsIntegrity: 'sha384-cciJ0zi8d1uMKC2zJd7jvPY4HQt7W4ByUI/FlMkltvBi31aW61rcpVBhpmW8/NwX',
+    hlsType: 'application/vnd.apple.mpegurl',
+    // The YouTube API has no timeupdate event, so the position is polled (ms)
+    pollInterval: 250,
+    embedClass: 'video-embed',
+  };
+
+  const patterns = {
+    youtube: /(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/|v\/)|youtu\.be\/)([\w-]{11})/,
+    vimeo: /vimeo\.com\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)/,
+    hls: /\.m3u8(?:$|[?#])/i,
+    hlsType: /mpegurl/i,
+  };
+
+  /* ================= DETECT ================= */
+  // -> { kind: 'youtube' | 'vimeo' | 'hls' | 'file', id }
+  function detect(src, type) {
+    const url = String(src || '');
+
+    const youtube = patterns.youtube.exec(url);
+    if (youtube) return { kind: 'youtube', id: youtube[1] };
+
+    const vimeo = patterns.vimeo.exec(url);
+    if (vimeo) return { kind: 'vimeo', id: vimeo[1] };
+
+    if (patterns.hls.test(url) || patterns.hlsType.test(type || '')) return { kind: 'hls', id: null };
+
+    return { kind: 'file', id: null };
+  }
+
+  /* ================= SCRIPT LOADING ================= */
+  const scripts = {};
+  let youtubeReady = null;
+
+  // integrity: SRI hash for files that never change at their URL (the
+  // YouTube and Vimeo APIs do, so they can't have one)
+  function loadScript(src, integrity) {
+    if (!scripts[src]) {
+      scripts[src] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        if (integrity) {
+          script.integrity = integrity;
+          script.crossOrigin = 'anonymous';
+        }
+        script.onload = resolve;
+        script.onerror = () => {
+          // Let the next attempt try again (flaky network, blocker turned off)
+          delete scripts[src];
+          script.remove();
+          reject(new Error(`Could not load ${src}`));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return scripts[src];
+  }
+
+  // The YouTube script loads more of itself and then calls a global hook
+  function loadYouTube() {
+    if (window.YT && window.YT.Player) return Promise.resolve(window.YT);
+
+    if (!youtubeReady) {
+      youtubeReady = new Promise((resolve, reject) => {
+        const previous = window.onYouTubeIframeAPIReady;
+        window.onYouTubeIframeAPIReady = () => {
+          if (typeof previous === 'function') previous();
+          resolve(window.YT);
+        };
+        loadScript(config.youtubeApi).catch(error => {
+          youtubeReady = null;
+          reject(error);
+        });
+      });
+    }
+    return youtubeReady;
+  }
+
+  function loadVimeo() {
+    if (window.Vimeo && window.Vimeo.Player) return Promise.resolve(window.Vimeo);
+    return loadScript(config.vimeoApi).then(() => window.Vimeo);
+  }
+
+  function loadHls() {
+    if (window.Hls) return Promise.resolve(window.Hls);
+    return loadScript(config.hlsLibrary, config.hlsIntegrity).then(() => window.Hls);
+  }
+
+  /* ================= MEDIA ================= */
+  // Every engine hands back the same object:
+  //   kind, embedded (true for iframes), el
+  //   play() -> Promise, pause(), isPaused(), seek(time), getTime(), getDuration()
+  //   getVolume() / setVolume(0–1), isMuted() / setMuted(bool), setRate(rate)
+  //   focus(), destroy()
+  //   on(type, fn)  'ready', 'play', 'pause', 'ended', 'timeupdate', 'error'
+  function createEmitter() {
+    const listeners = {};
+    return {
+      on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+      },
+      emit(type, data) {
+        (listeners[type] || []).slice().forEach(fn => fn(data));
+      },
+    };
+  }
+
+  function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+  }
+
+  /* ----- <video> (files and HLS) ----- */
+  // attach(video) starts loading and may return a teardown function, or a
+  // Promise of one when a library has to load first
+  function createVideoMedia(video, kind, options, attach) {
+    const emitter = createEmitter();
+    const handlers = {
+      loadedmetadata() {
+        if (options.startAt) video.currentTime = options.startAt;
+        emitter.emit('ready');
+      },
+      play: () => emitter.emit('play'),
+      pause: () => emitter.emit('pause'),
+      ended: () => emitter.emit('ended'),
+      timeupdate: () => emitter.emit('timeupdate'),
+      error: () => emitter.emit('error', video.error),
+    };
+    let destroyed = false;
+    let teardown = null;
+
+    video.hidden = false;
+    Object.keys(handlers).forEach(type => video.addEventListener(type, handlers[type]));
+
+    const media = {
+      kind,
+      embedded: false,
+      el: video,
+      play() {
+        return video.play() || Promise.resolve();
+      },
+      pause: () => video.pause(),
+      isPaused: () => video.paused,
+      seek(time) {
+        video.currentTime = time;
+      },
+      getTime: () => video.currentTime || 0,
+      getDuration: () => (isFinite(video.duration) ? video.duration : 0),
+      getVolume: () => video.volume,
+      setVolume(value) {
+        video.volume = clamp(value);
+      },
+      isMuted: () => video.muted,
+      setMuted(muted) {
+        video.muted = muted;
+      },
+      setRate(rate) {
+        video.playbackRate = rate;
+      },
+      focus: () => video.focus(),
+      on: emitter.on,
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        Object.keys(handlers).forEach(type => video.removeEventListener(type, handlers[type]));
+        video.pause();
+        if (teardown) teardown();
+        // Stop the download too, not just the picture
+        video.removeAttribute('src');
+        video.load();
+      },
+    };
+
+    function start(result) {
+      if (destroyed) {
+        if (typeof result === 'function') result();
+        return;
+      }
+
+      teardown = typeof result === 'function' ? result : null;
+      if (options.autoplay) {
+        media.play().catch(error => {
+          console.log('Video autoplay prevented:', error);
+        });
+      }
+    }
+
+    const result = attach(video, error => emitter.emit('error', error));
+    if (result && typeof result.then === 'function') {
+      result.then(start, error => emitter.emit('error', error));
+    } else {
+      start(result);
+    }
+
+    return media;
+  }
+
+  function openFile(source, options) {
+    return createVideoMedia(options.video, 'file', options, (video) => {
+      video.src = source.src;
+      video.load();
+    });
+  }
+
+  // Safari plays HLS natively; elsewhere hls.js feeds it through MSE
+  function openHls(source, options) {
+    const { video } = options;
+
+    if (video.canPlayType(config.hlsType)) {
+      return createVideoMedia(video, 'hls', options, () => {
+        video.src = source.src;
+        video.load();
+      });
+    }
+
+    return createVideoMedia(video, 'hls', options, (el, fail) => loadHls().then(Hls => {
+      if (!Hls || !Hls.isSupported()) throw new Error('HLS playback is not supported in this browser');
+
+      const hls = new Hls();
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) fail(new Error(`HLS error: ${data.details}`));
+      });
+      hls.loadSource(source.src);
+      hls.attachMedia(el);
+      return () => hls.destroy();
+    }));
+  }
+
+  /* ----- Iframe embeds ----- */
+  // The iframe goes next to the <video>, which stays hidden meanwhile
+  function createEmbedHost(options) {
+    const { video } = options;
+    const host = document.createElement('div');
+    host.className = config.embedClass;
+    video.pause();
+    video.hidden = true;
+    video.insertAdjacentElement('afterend', host);
+    return host;
+  }
+
+  function focusFrame(host) {
+    const frame = host.querySelector('iframe');
+    if (frame) frame.focus();
+  }
+
+  function openYouTube(source, options) {
+    const emitter = createEmitter();
+    const host = createEmbedHost(options);
+    // YT.Player replaces this element with its iframe
+    const target = document.createElement('div');
+    host.appendChild(target);
+
+    const state = { time: options.startAt || 0, duration: 0, paused: true };
+    let player = null;
+    let ready = false;
+    let destroyed = false;
+    let timer = null;
+
+    function poll() {
+      state.time = player.getCurrentTime() || 0;
+      emitter.emit('timeupdate');
+    }
+
+    function setPolling(on) {
+      clearInterval(timer);
+      timer = on ? setInterval(poll, config.pollInterval) : null;
+    }
+
+    loadYouTube().then(YT => {
+      if (destroyed) return;
+
+      player = new YT.Player(target, {
+        host: config.youtubeHost,
+        videoId: source.id,
+        playerVars: {
+          autoplay: options.autoplay ? 1 : 0,
+          start: Math.floor(options.startAt || 0),
+          playsinline: 1,
+          rel: 0,
+          // Interface and caption language follow the page
+          hl: options.lang,
+          cc_lang_pref: options.lang,
+          origin: window.location.origin,
+        },
+        events: {
+          onReady() {
+            ready = true;
+            state.duration = player.getDuration() || 0;
+            emitter.emit('ready');
+          },
+          onStateChange(e) {
+            if (e.data === YT.PlayerState.PLAYING) {
+              state.paused = false;
+              state.duration = player.getDuration() || state.duration;
+              setPolling(true);
+              emitter.emit('play');
+            } else if (e.data === YT.PlayerState.PAUSED) {
+              state.paused = true;
+              setPolling(false);
+              poll();
+              emitter.emit('pause');
+            } else if (e.data === YT.PlayerState.ENDED) {
+              state.paused = true;
+              setPolling(false);
+              emitter.emit('ended');
+            }
+          },
+          onError(e) {
+            emitter.emit('error', new Error(`YouTube error ${e.data}`));
+          },
+        },
+      });
+    }).catch(error => emitter.emit('error', error));
+
+    return {
+      kind: 'youtube',
+      embedded: true,
+      el: host,
+      play() {
+        if (ready) player.playVideo();
+        return Promise.resolve();
+      },
+      pause() {
+        if (ready) player.pauseVideo();
+      },
+      isPaused: () => state.paused,
+      seek(time) {
+        state.time = time;
+        if (ready) player.seekTo(time, true);
+      },
+      getTime: () => state.time,
+      getDuration: () => state.duration,
+      getVolume: () => (ready ? player.getVolume() / 100 : 1),
+      setVolume(value) {
+        if (ready) player.setVolume(Math.round(clamp(value) * 100));
+      },
+      isMuted: () => (ready ? player.isMuted() : false),
+      setMuted(muted) {
+        if (!ready) return;
+        if (muted) {
+          player.mute();
+        } else {
+          player.unMute();
+        }
+      },
+      setRate(rate) {
+        if (ready) player.setPlaybackRate(rate);
+      },
+      focus: () => focusFrame(host),
+      on: emitter.on,
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        setPolling(false);
+        if (player) player.destroy();
+        host.remove();
+      },
+    };
+  }
+
+  // Vimeo's methods all return Promises, so the last known values are kept
+  // for the synchronous getters
+  function openVimeo(source, options) {
+    const emitter = createEmitter();
+    const host = createEmbedHost(options);
+
+    const state = { time: options.startAt || 0, duration: 0, paused: true, volume: 1, muted: false };
+    let player = null;
+    let destroyed = false;
+
+    function call(method, ...args) {
+      if (!player) return Promise.resolve();
+      return player[method](...args).catch(error => {
+        console.warn(`Vimeo ${method} failed:`, error);
+      });
+    }
+
+    loadVimeo().then(Vimeo => {
+      if (destroyed) return;
+
+      player = new Vimeo.Player(host, {
+        url: source.src,
+        autoplay: Boolean(options.autoplay),
+        playsinline: true,
+        // Do-not-track: no Vimeo cookies or analytics
+        dnt: true,
+      });
+
+      player.on('play', () => {
+        state.paused = false;
+        emitter.emit('play');
+      });
+      player.on('pause', () => {
+        state.paused = true;
+        emitter.emit('pause');
+      });
+      player.on('ended', () => {
+        state.paused = true;
+        emitter.emit('ended');
+      });
+      player.on('timeupdate', (data) => {
+        state.time = data.seconds;
+        state.duration = data.duration;
+        emitter.emit('timeupdate');
+      });
+      player.on('volumechange', (data) => {
+        state.volume = data.volume;
+      });
+      player.on('error', error => emitter.emit('error', error));
+
+      return player.ready().then(() => Promise.all([
+        player.getDuration(),
+        options.startAt ? player.setCurrentTime(options.startAt) : null,
+      ])).then(([duration]) => {
+        state.duration = duration || 0;
+        emitter.emit('ready');
+      });
+    }).catch(error => emitter.emit('error', error));
+
+    return {
+      kind: 'vimeo',
+      embedded: true,
+      el: host,
+      play: () => call('play'),
+      pause() {
+        call('pause');
+      },
+      isPaused: () => state.paused,
+      seek(time) {
+        state.time = time;
+        call('setCurrentTime', time);
+      },
+      getTime: () => state.time,
+      getDuration: () => state.duration,
+      getVolume: () => state.volume,
+      setVolume(value) {
+        state.volume = clamp(value);
+        call('setVolume', state.volume);
+      },
+      isMuted: () => state.muted,
+      setMuted(muted) {
+        state.muted = muted;
+        call('setMuted', muted);
+      },
+      setRate(rate) {
+        call('setPlaybackRate', rate);
+      },
+      focus: () => focusFrame(host),
+      on: emitter.on,
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        if (player) call('destroy');
+        host.remove();
+      },
+    };
+  }
+
+  /* ================= OPEN ================= */
+  const engines = {
+    file: openFile,
+    hls: openHls,
+    youtube: openYouTube,
+    vimeo: openVimeo,
+  };
+
+  // open(source, { video, startAt, autoplay, lang }) -> media
+  //   source  { src, type } from the trigger
+  //   video   the modal's <video>; embeds are placed beside it
+  function open(source, options) {
+    const { kind, id } = detect(source.src, source.type);
+    return engines[kind]({ ...source, id }, options);
+  }
+
+  // Files the browser can't decode are skipped; the other kinds decide once
+  // they're opened
+  function canPlay(source, video) {
+    if (detect(source.src, source.type).kind !== 'file') return true;
+    return !source.type || video.canPlayType(source.type) !== '';
+  }
+
+  window.ThemeVideoSources = {
+    detect,
+    open,
+    canPlay,
+  };
+})();
@@ -30,7 +30,11 @@
   let currentTranslate = 0;
   let prevTranslate = 0;
 
-  const isRTL = document.documentElement.dir === 'rtl';
+  let isRTL = document.documentElement.dir === 'rtl';
+
+  function translate(key, fallback, params) {
+    return window.ThemeI18n ? window.ThemeI18n.t(key, params, fallback) : fallback;
+  }
 
   /* ================= INIT ================= */
   function init() {
@@ -60,9 +64,7 @@
         card.style.visibility = 'visible';
         card.style.minWidth = '280px';
         // Force visibility for RTL
-        if (isRTL) {
-          card.style.direction = 'rtl';
-        }
+        card.style.direction = isRTL ? 'rtl' : '';
       }
     });
     
@@ -90,6 +92,16 @@
     }, 100);
 
     window.addEventListener('resize', handleResize);
+    document.addEventListener('i18n:change', handleDirectionChange);
+  }
+
+  function handleDirectionChange(e) {
+    isRTL = e.detail.dir === 'rtl';
+    if (!cards) return;
+
+    setPerView();
+    createPagination();
+    update(false);
   }
 
   function handleResize() {
@@ -193,6 +205,7 @@
         } else {
           card.style.marginRight = gap > 0 ? `${gap}px` : '0';
           card.style.marginLeft = '0';
+          card.style.direction = '';
         }
       }
     });
@@ -206,7 +219,8 @@
     // Previous button
     const prevBtn = document.createElement('button');
     prevBtn.className = 'slider-nav-btn slider-nav-prev';
-    prevBtn.setAttribute('aria-label', 'السابق');
+    prevBtn.setAttribute('aria-label', translate('videoTestimonials.prev', 'السابق'));
+    prevBtn.setAttribute('data-i18n-aria-label', 'videoTestimonials.prev');
     prevBtn.innerHTML = `
       <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
         <path d="M15 18L9 12L15 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -220,7 +234,8 @@
     // Next button
     const nextBtn = document.createElement('button');
     nextBtn.className = 'slider-nav-btn slider-nav-next';
-    nextBtn.setAttribute('aria-label', 'التالي');
+    nextBtn.setAttribute('aria-label', translate('videoTestimonials.next', 'التالي'));
+    nextBtn.setAttribute('data-i18n-aria-label', 'videoTestimonials.next');
     nextBtn.innerHTML = `
       <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
         <path d="M9 18L15 12L9 6" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -243,7 +258,7 @@
     for (let i = 0; i < totalSlides; i++) {
       const dot = document.createElement('button');
       dot.className = 'pagination-dot';
-      dot.setAttribute('aria-label', `الذهاب إلى الشريحة ${i + 1}`);
+      dot.setAttribute('aria-label', translate('videoTestimonials.goToSlide', `الذهاب إلى الشريحة ${i + 1}`, { n: i + 1 }));
 
       dot.onclick = () => {
         goToSlide(i);
@@ -428,48 +443,46 @@
   function initVideoModal() {
     const modal = document.getElementById('videoTestimonialModal');
     const video = document.getElementById('videoTestimonialModalVideo');
-    const close = document.getElementById('videoTestimonialModalClose');
 
-    if (!modal || !video || !close || !track) return;
+    if (!modal || !video || !track || !window.ThemeModal) return;
+
+    // Same player as the course videos: resume, shortcuts, sources
+    const player = window.ThemeVideoPlayer
+      ? window.ThemeVideoPlayer.create(video, { container: modal })
+      : null;
+
+    const controller = window.ThemeModal.register(modal, {
+      close: '.video-testimonial-modal-close, .video-testimonial-modal-overlay, .video-gate-action',
+      initialFocus: video,
+      onClose() {
+        if (player) {
+          player.unload();
+        } else {
+          video.pause();
+        }
+      },
+    });
 
     // Event delegation for cloned cards
     track.addEventListener('click', (e) => {
       const btn = e.target.closest('.video-testimonial-play-btn');
       if (!btn) return;
-      
+
       e.stopPropagation();
-      const videoUrl = btn.dataset.videoUrl;
-      
-      if (videoUrl) {
+
+      if (player) {
+        if (!player.load(window.ThemeVideoPlayer.getOptions(btn))) return;
+      } else {
+        const videoUrl = btn.dataset.videoUrl;
+        if (!videoUrl) return;
+
         video.src = videoUrl;
-        modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
-        
         video.play().catch(err => {
           console.log('Autoplay prevented:', err);
         });
       }
-    });
-
-    function closeModal() {
-      modal.classList.remove('active');
-      document.body.style.overflow = '';
-      video.pause();
-      video.src = '';
-      video.currentTime = 0;
-    }
 
-    close.addEventListener('click', closeModal);
-    
-    const overlay = modal.querySelector('.video-testimonial-modal-overlay');
-    if (overlay) {
-      overlay.addEventListener('click', closeModal);
-    }
-
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && modal.classList.contains('active')) {
-        closeModal();
-      }
+      controller.open(btn);
     });
   }
 